@@ -0,0 +1,52 @@
+/**
+ * The framework used to handle requests.
+ */
+const express = require("express");
+/**
+ * The framework instance.
+ */
+const app = express();
+
+const middleware = require("./middleware");
+
+app.use(express.json());
+
+app.use(middleware.jsonErrorInBody);
+
+app.use(middleware.localizeTimestamps);
+
+app.use('/test', require('./routes/hello.js'));
+
+app.use('/auth', require('./routes/register.js'));
+
+app.use('/auth', require('./routes/login.js'));
+
+app.use('/auth', require('./routes/sessions.js'));
+
+app.use('/chats', middleware.checkToken, require('./routes/chats.js'));
+
+app.use('/messages', middleware.checkToken, require('./routes/messages.js'));
+
+app.use('/attachments', middleware.checkToken, require('./routes/attachments.js'));
+
+app.use('/auth', middleware.checkToken, require('./routes/pushyregister.js'));
+
+app.use('/contacts', middleware.checkToken, require('./routes/contacts.js'));
+
+app.use('/search', middleware.checkToken, require('./routes/search.js'));
+
+app.use("/doc", express.static('apidoc'));
+
+app.use('/forecast', middleware.checkToken, require('./routes/forecast.js'));
+
+app.use('/location', middleware.checkToken, require('./routes/location.js'));
+
+app.use('/verify', require('./routes/verify.js'));
+
+app.use('/user', middleware.checkToken,require('./routes/user.js'));
+
+app.use('/changePassword', middleware.checkToken,require('./routes/changePassword.js'));
+
+app.use('/admin', middleware.checkToken, middleware.checkAdmin, require('./routes/admin.js'));
+
+module.exports = app;
@@ -19,6 +19,16 @@ module.exports = {
                 },
             },
     JSON_WEB_TOKEN: process.env.JSON_WEB_TOKEN || undefined,
+    ACCESS_TOKEN_SECONDS: parseInt(process.env.ACCESS_TOKEN_SECONDS) || 15 * 60,
+    REFRESH_TOKEN_DAYS: parseInt(process.env.REFRESH_TOKEN_DAYS) || 30,
     GOOGLE_MAPS_API_KEY: process.env.GOOGLE_MAPS_API_KEY || undefined,
     PUSHY_API_KEY: process.env.PUSHY_API_KEY || undefined,
+    PUSH_PROVIDER: process.env.PUSH_PROVIDER || "pushy",
+    ADMIN_EMAILS: (process.env.ADMIN_EMAILS || "").split(",").map(email => email.trim()).filter(email => email),
+    ATTACHMENT_STORAGE: process.env.ATTACHMENT_STORAGE || "local",
+    ATTACHMENT_DIR: process.env.ATTACHMENT_DIR || path.resolve(__dirname, "uploads"),
+    ATTACHMENT_MAX_BYTES: parseInt(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024,
+    S3_BUCKET: process.env.S3_BUCKET || undefined,
+    S3_REGION: process.env.S3_REGION || "us-east-1",
+    S3_ENDPOINT: process.env.S3_ENDPOINT || undefined,
 };
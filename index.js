@@ -1,52 +1,30 @@
 const config = require("./config.js");
 /**
- * The framework used to handle requests.
+ * The framework instance, with every route mounted.
  */
-const express = require("express");
+const app = require("./app.js");
+
 /**
- * The framework instance.
+ * Live (WebSocket) delivery of messages, chat and contact events.
  */
-const app = express();
+const live = require("./utilities").live;
+
 /**
- * The connection to Heroku Database.
+ * The outbound push notification queue.
  */
-const pool = require("./utilities").pool;
-
-const middleware = require("./middleware");
-
-app.use(express.json());
-
-app.use(middleware.jsonErrorInBody);
-
-app.use('/test', require('./routes/hello.js'));
-
-app.use('/auth', require('./routes/register.js'));
-
-app.use('/auth', require('./routes/login.js'));
-
-app.use('/chats', middleware.checkToken, require('./routes/chats.js'));
-
-app.use('/messages', middleware.checkToken, require('./routes/messages.js'));
-
-app.use('/auth', middleware.checkToken, require('./routes/pushyregister.js'));
+const notificationQueue = require("./utilities").notificationQueue;
 
-app.use('/contacts', middleware.checkToken, require('./routes/contacts.js'));
-
-app.use('/search', middleware.checkToken, require('./routes/search.js'));
-
-app.use("/doc", express.static('apidoc'));
-
-app.use('/forecast', middleware.checkToken, require('./routes/forecast.js'));
-
-app.use('/location', middleware.checkToken, require('./routes/location.js'));
-
-app.use('/verify', require('./routes/verify.js'));
+/**
+ * Uploaded attachments, cleared out when they are never sent.
+ */
+const attachments = require("./utilities").attachments;
 
-app.use('/user', middleware.checkToken,require('./routes/user.js'));
+const server = app.listen(config.PORT || 5000, () => {
+  console.log("Server up and running on port: " + (config.PORT || 5000));
+});
 
-app.use('/changePassword', middleware.checkToken,require('./routes/changePassword.js'));
+live.attach(server);
 
+notificationQueue.start();
 
-app.listen(config.PORT || 5000, () => {
-  console.log("Server up and running on port: " + (config.PORT || 5000));
-});
+attachments.start();
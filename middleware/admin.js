@@ -0,0 +1,20 @@
+const config = require('../config.js');
+
+module.exports = {
+    /**
+     * Middleware function that only passes control on if the user associated
+     * with the JWT is one of the service administrators listed in ADMIN_EMAILS.
+     * @param {Object} request The incoming request object.
+     * @param {Object} response The outgoing response object.
+     * @param {Function} next The next middleware function in the chain.
+     */
+    checkAdmin: (request, response, next) => {
+        if (config.ADMIN_EMAILS.includes(request.decoded.email)) {
+            next();
+        } else {
+            response.status(403).send({
+                message: "administrators only"
+            });
+        }
+    },
+}
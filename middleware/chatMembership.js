@@ -0,0 +1,52 @@
+const pool = require('../utilities').pool;
+
+module.exports = {
+    /**
+     * Middleware function that only passes control on if the user associated
+     * with the JWT is a member of the chat. The chat id is read from the route
+     * parameters, or from the body when the route has none. The member's role
+     * in the chat is stored in request.role for later checks.
+     * @param {Object} request The incoming request object.
+     * @param {Object} response The outgoing response object.
+     * @param {Function} next The next middleware function in the chain.
+     */
+    checkChatMembership: (request, response, next) => {
+        const chatId = request.params.chatId !== undefined
+            ? request.params.chatId
+            : request.body.chatId;
+        const query = 'SELECT Role FROM ChatMembers WHERE ChatId=$1 AND MemberId=$2';
+        const values = [chatId, request.decoded.memberid];
+
+        pool.query(query, values)
+            .then(result => {
+                if (result.rowCount == 0) {
+                    response.status(403).send({
+                        message: "user not in chat"
+                    });
+                } else {
+                    request.role = result.rows[0].role;
+                    next();
+                }
+            }).catch(error => {
+                response.status(400).send({
+                    message: "SQL Error on member in chat check",
+                    error: error
+                });
+            });
+    },
+    /**
+     * Builds a middleware function that only passes control on if the role
+     * stored by checkChatMembership is one of the given roles.
+     * @param {...String} roles The roles allowed to continue.
+     * @returns {Function} The middleware function.
+     */
+    checkChatRole: (...roles) => (request, response, next) => {
+        if (roles.includes(request.role)) {
+            next();
+        } else {
+            response.status(403).send({
+                message: "insufficient role in chat"
+            });
+        }
+    },
+}
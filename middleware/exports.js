@@ -1,4 +1,9 @@
 module.exports = {
     checkToken: require('./jwt.js').checkToken, 
+    verifyToken: require('./jwt.js').verifyToken,
     jsonErrorInBody: require('./handleErrors.js').jsonErrorInBody,
+    localizeTimestamps: require('./timestamps.js').localizeTimestamps,
+    checkChatMembership: require('./chatMembership.js').checkChatMembership,
+    checkChatRole: require('./chatMembership.js').checkChatRole,
+    checkAdmin: require('./admin.js').checkAdmin,
 }
\ No newline at end of file
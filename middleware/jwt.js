@@ -3,15 +3,40 @@ const config = {
         secret: process.env.JSON_WEB_TOKEN
 };
 
+const { isSessionActive } = require('../utilities/session_utilities.js');
+
+/**
+ * Strips an optional "Bearer " prefix from the token and verifies it against
+ * the service secret, then checks the session it was issued for has not been
+ * revoked. Tokens issued before sessions existed carry none and are refused.
+ * @param {String} token The raw token as supplied by the client.
+ * @param {Function} callback Called with (err, decoded) once verification completes.
+ */
+function verifyToken(token, callback) {
+    if (token.startsWith('Bearer ')) {
+        // Remove Bearer from string
+        token = token.slice(7, token.length);
+    }
+    jwt.verify(token, config.secret, (err, decoded) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!decoded.sessionid) {
+            return callback(new Error('token has no session'));
+        }
+        isSessionActive(decoded.sessionid)
+            .then(active => active
+                ? callback(null, decoded)
+                : callback(new Error('session revoked')))
+            .catch(callback);
+    });
+}
+
 module.exports = {
     checkToken: (req, res, next) => {
         let token = req.headers['x-access-token'] || req.headers['authorization'];
         if (token) {
-            if (token.startsWith('Bearer ')) {
-                // Remove Bearer from string
-                token = token.slice(7, token.length);
-            }
-            jwt.verify(token, config.secret, (err, decoded) => {
+            verifyToken(token, (err, decoded) => {
                 if (err) {
                     return res.status(403).json({
                         success: false,
@@ -29,4 +54,5 @@ module.exports = {
             });
         }
     },
+    verifyToken,
 }
@@ -0,0 +1,71 @@
+/**
+ * Formats the date as an ISO-8601 string in the given IANA time zone, with
+ * the zone's UTC offset, e.g. 2023-05-01T09:30:00.000-07:00.
+ * @param {Date} date The date to format.
+ * @param {String} timeZone The IANA time zone, e.g. America/Los_Angeles.
+ * @returns {String} The localized timestamp.
+ */
+function toLocalISOString(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit',
+        fractionalSecondDigits: 3,
+        timeZoneName: 'longOffset',
+    }).formatToParts(date).forEach(part => parts[part.type] = part.value);
+    // longOffset is "GMT-07:00", or just "GMT" for UTC itself
+    const offset = parts.timeZoneName.slice(3) || '+00:00';
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:`
+        + `${parts.second}.${parts.fractionalSecond}${offset}`;
+}
+
+/**
+ * Adds a "<key>Local" field next to every Date in the value, recursively.
+ * @param {*} value The response body, or part of it.
+ * @param {String} timeZone The IANA time zone to localize to.
+ */
+function localize(value, timeZone) {
+    if (Array.isArray(value)) {
+        value.forEach(item => localize(item, timeZone));
+    } else if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+        Object.keys(value).forEach(key => {
+            if (value[key] instanceof Date) {
+                value[key + 'Local'] = toLocalISOString(value[key], timeZone);
+            } else {
+                localize(value[key], timeZone);
+            }
+        });
+    }
+}
+
+module.exports = {
+    /**
+     * Middleware function that honours the optional "tz" query parameter. Every
+     * timestamp the service sends is UTC ISO-8601; when a valid IANA time zone
+     * is given, each one is also sent as "<field>Local" in that zone.
+     * @param {Object} request The incoming request object.
+     * @param {Object} response The outgoing response object.
+     * @param {Function} next The next middleware function in the chain.
+     */
+    localizeTimestamps: (request, response, next) => {
+        const timeZone = request.query.tz;
+        if (timeZone === undefined) {
+            next();
+            return;
+        }
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+        } catch (error) {
+            response.status(400).send({ message: "Malformed parameter. tz must be an IANA time zone" });
+            return;
+        }
+        const json = response.json.bind(response);
+        response.json = body => {
+            localize(body, timeZone);
+            return json(body);
+        };
+        next();
+    },
+}
@@ -0,0 +1,51 @@
+/**
+ * Applies the SQL files in migrations/ the database has not had yet, in name
+ * order, each in its own transaction. The files applied are recorded in the
+ * SchemaMigrations table, so running this again only applies new ones.
+ */
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Connection to Heroku Database.
+ */
+const pool = require("./utilities/sql_conn.js");
+
+/**
+ * Where the migrations are kept.
+ */
+const MIGRATIONS_DIR = path.resolve(__dirname, "migrations");
+
+//runs one migration, rolling it back entirely if any statement in it fails
+function apply(client, file) {
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8");
+    return client.query("BEGIN")
+        .then(() => client.query(sql))
+        .then(() => client.query("INSERT INTO SchemaMigrations(Name) VALUES ($1)", [file]))
+        .then(() => client.query("COMMIT"))
+        .then(() => console.log("Applied", file))
+        .catch(err => client.query("ROLLBACK").then(() => {
+            throw new Error(file + ": " + err.message);
+        }));
+}
+
+pool.connect()
+    .then(client => client.query(`CREATE TABLE IF NOT EXISTS SchemaMigrations (
+                                      Name VARCHAR(255) PRIMARY KEY,
+                                      AppliedAt TIMESTAMP NOT NULL DEFAULT (NOW() AT TIME ZONE 'UTC')
+                                  )`)
+        .then(() => client.query("SELECT Name FROM SchemaMigrations"))
+        .then(result => {
+            const applied = new Set(result.rows.map(row => row.name));
+            return fs.readdirSync(MIGRATIONS_DIR)
+                .filter(file => file.endsWith(".sql") && !applied.has(file))
+                .sort()
+                .reduce((previous, file) => previous.then(() => apply(client, file)), Promise.resolve());
+        })
+        .finally(() => client.release()))
+    .then(() => pool.end())
+    .catch(err => {
+        console.log("Migration failed:", err.message);
+        process.exitCode = 1;
+        return pool.end();
+    });
@@ -0,0 +1,12 @@
+-- user-002: the earlier text of edited messages.
+-- Timestamps in these migrations are TIMESTAMP (without time zone) holding UTC,
+-- which is how the service writes them and how utilities/sql_conn.js reads them.
+CREATE TABLE MessageEdits (
+    EditId SERIAL PRIMARY KEY,
+    MessageId INT NOT NULL,
+    Message TEXT NOT NULL,
+    EditedAt TIMESTAMP NOT NULL DEFAULT (NOW() AT TIME ZONE 'UTC'),
+    FOREIGN KEY(MessageId) REFERENCES Messages(PrimaryKey)
+);
+
+CREATE INDEX MessageEdits_MessageId ON MessageEdits(MessageId);
@@ -0,0 +1,27 @@
+-- user-003: deleted messages stay as placeholders, and chat owners may delete
+-- any message in their chat.
+ALTER TABLE Messages
+    ADD COLUMN Deleted BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN DeletedBy INT REFERENCES Members(MemberID);
+
+-- Each member's role in a chat: owner, admin or member. Admins arrive with
+-- user-006, which also makes the creator of a new chat its owner.
+ALTER TABLE ChatMembers
+    ADD COLUMN Role VARCHAR(16) NOT NULL DEFAULT 'member'
+        CHECK (Role IN ('owner', 'admin', 'member'));
+
+-- Existing chats are owned by whoever posted in them first, or failing that by
+-- the member who has been registered longest.
+UPDATE ChatMembers SET Role='owner'
+FROM (
+    SELECT DISTINCT ON (ChatID) ChatID, MemberID
+    FROM (
+        SELECT ChatMembers.ChatID, ChatMembers.MemberID, MIN(Messages.PrimaryKey) AS FirstMessage
+        FROM ChatMembers
+        LEFT JOIN Messages
+        ON Messages.ChatID=ChatMembers.ChatID AND Messages.MemberID=ChatMembers.MemberID
+        GROUP BY ChatMembers.ChatID, ChatMembers.MemberID
+    ) AS Posters
+    ORDER BY ChatID, FirstMessage NULLS LAST, MemberID
+) AS Owners
+WHERE ChatMembers.ChatID=Owners.ChatID AND ChatMembers.MemberID=Owners.MemberID;
@@ -0,0 +1,9 @@
+-- user-004: the last message each member has read in each chat. 0 means none,
+-- so "PrimaryKey > LastReadMessageId" counts every message as unread.
+ALTER TABLE ChatMembers ADD COLUMN LastReadMessageId INT NOT NULL DEFAULT 0;
+
+-- Members start with their chats read up to now, rather than every message
+-- ever posted counting as unread.
+UPDATE ChatMembers SET LastReadMessageId=Latest.MessageId
+FROM (SELECT ChatID, MAX(PrimaryKey) AS MessageId FROM Messages GROUP BY ChatID) AS Latest
+WHERE ChatMembers.ChatID=Latest.ChatID;
@@ -0,0 +1,4 @@
+-- user-008: direct chats are keyed by their two members' ids, "<lower>:<higher>".
+-- The key is unique, so concurrent requests cannot create the same direct chat
+-- twice; group chats have none.
+ALTER TABLE Chats ADD COLUMN DirectKey VARCHAR(32) UNIQUE;
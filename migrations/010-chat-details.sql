@@ -0,0 +1,6 @@
+-- user-010: a chat's description and avatar, and who last changed its details and when.
+ALTER TABLE Chats
+    ADD COLUMN Description TEXT,
+    ADD COLUMN Avatar TEXT,
+    ADD COLUMN UpdatedBy INT REFERENCES Members(MemberID),
+    ADD COLUMN UpdatedAt TIMESTAMP;
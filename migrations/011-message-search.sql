@@ -0,0 +1,3 @@
+-- user-011: full-text search over messages. The indexed expression must match
+-- the one GET /search/messages filters on.
+CREATE INDEX Messages_Search ON Messages USING GIN (to_tsvector('english', Message));
@@ -0,0 +1,10 @@
+-- user-014: emoji reactions. A member reacts to a message with each emoji at
+-- most once; the key lets POST ignore a repeat with ON CONFLICT DO NOTHING.
+CREATE TABLE MessageReactions (
+    MessageId INT NOT NULL,
+    MemberId INT NOT NULL,
+    Reaction VARCHAR(32) NOT NULL,
+    PRIMARY KEY(MessageId, MemberId, Reaction),
+    FOREIGN KEY(MessageId) REFERENCES Messages(PrimaryKey),
+    FOREIGN KEY(MemberId) REFERENCES Members(MemberID)
+);
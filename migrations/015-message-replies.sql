@@ -0,0 +1,4 @@
+-- user-015: the message, in the same chat, a message replies to.
+ALTER TABLE Messages ADD COLUMN ReplyTo INT REFERENCES Messages(PrimaryKey);
+
+CREATE INDEX Messages_ReplyTo ON Messages(ReplyTo);
@@ -0,0 +1,18 @@
+-- user-016: uploaded files. MessageId stays null until the uploader sends the
+-- file with a message; the file itself is kept by the storage backend under StorageKey.
+CREATE TABLE Attachments (
+    AttachmentId SERIAL PRIMARY KEY,
+    ChatId INT NOT NULL,
+    MemberId INT NOT NULL,
+    MessageId INT,
+    Name VARCHAR(255) NOT NULL,
+    Size INT NOT NULL,
+    Type VARCHAR(100) NOT NULL,
+    StorageKey VARCHAR(64) NOT NULL UNIQUE,
+    CreatedAt TIMESTAMP NOT NULL DEFAULT (NOW() AT TIME ZONE 'UTC'),
+    FOREIGN KEY(ChatId) REFERENCES Chats(ChatID),
+    FOREIGN KEY(MemberId) REFERENCES Members(MemberID),
+    FOREIGN KEY(MessageId) REFERENCES Messages(PrimaryKey)
+);
+
+CREATE INDEX Attachments_MessageId ON Attachments(MessageId);
@@ -0,0 +1,12 @@
+-- user-017: messages pinned in each chat. A message is pinned at most once;
+-- the key lets POST ignore a repeat with ON CONFLICT DO NOTHING.
+CREATE TABLE Pins (
+    ChatId INT NOT NULL,
+    MessageId INT NOT NULL,
+    PinnedBy INT NOT NULL,
+    PinnedAt TIMESTAMP NOT NULL DEFAULT (NOW() AT TIME ZONE 'UTC'),
+    PRIMARY KEY(ChatId, MessageId),
+    FOREIGN KEY(ChatId) REFERENCES Chats(ChatID),
+    FOREIGN KEY(MessageId) REFERENCES Messages(PrimaryKey),
+    FOREIGN KEY(PinnedBy) REFERENCES Members(MemberID)
+);
@@ -0,0 +1,6 @@
+-- user-018: which of a chat's messages each member is pushed, and until when
+-- the chat is muted. Only "all" is allowed until @mentions are recorded.
+ALTER TABLE ChatMembers
+    ADD COLUMN NotifyLevel VARCHAR(16) NOT NULL DEFAULT 'all'
+        CONSTRAINT ChatMembers_NotifyLevel CHECK (NotifyLevel IN ('all')),
+    ADD COLUMN MutedUntil TIMESTAMP;
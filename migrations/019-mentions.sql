@@ -0,0 +1,15 @@
+-- user-019: the members each message mentions.
+CREATE TABLE Mentions (
+    MessageId INT NOT NULL,
+    MemberId INT NOT NULL,
+    PRIMARY KEY(MessageId, MemberId),
+    FOREIGN KEY(MessageId) REFERENCES Messages(PrimaryKey),
+    FOREIGN KEY(MemberId) REFERENCES Members(MemberID)
+);
+
+CREATE INDEX Mentions_MemberId ON Mentions(MemberId);
+
+-- Now that mentions are recorded, members may ask to be pushed only those.
+ALTER TABLE ChatMembers
+    DROP CONSTRAINT ChatMembers_NotifyLevel,
+    ADD CONSTRAINT ChatMembers_NotifyLevel CHECK (NotifyLevel IN ('all', 'mentions'));
@@ -0,0 +1,26 @@
+-- user-020: a member keeps one Pushy token per device instead of one in all.
+-- Drop the unique constraint on MemberID, whatever it was named.
+DO $$
+DECLARE
+    memberIdUnique TEXT;
+BEGIN
+    SELECT conname INTO memberIdUnique FROM pg_constraint
+    WHERE conrelid='push_token'::regclass AND contype='u'
+    AND conkey=ARRAY[(SELECT attnum FROM pg_attribute
+                      WHERE attrelid='push_token'::regclass AND attname='memberid')];
+    IF memberIdUnique IS NOT NULL THEN
+        EXECUTE 'ALTER TABLE Push_Token DROP CONSTRAINT ' || quote_ident(memberIdUnique);
+    END IF;
+END $$;
+
+ALTER TABLE Push_Token
+    ADD COLUMN DeviceId VARCHAR(255),
+    ADD COLUMN Platform VARCHAR(16) CHECK (Platform IN ('android', 'ios', 'web')),
+    ADD COLUMN LastSeen TIMESTAMP NOT NULL DEFAULT (NOW() AT TIME ZONE 'UTC');
+
+-- Devices registered before had no id; PUT /auth uses the token in its place.
+UPDATE Push_Token SET DeviceId=COALESCE(Token, KeyID::text);
+
+ALTER TABLE Push_Token
+    ALTER COLUMN DeviceId SET NOT NULL,
+    ADD CONSTRAINT Push_Token_Device UNIQUE (MemberID, DeviceId);
@@ -0,0 +1,18 @@
+-- user-022: push notifications waiting to be sent, and a record of those sent,
+-- dead-lettered or expired. Data and Options are the Pushy payload and options.
+CREATE TABLE NotificationQueue (
+    NotificationId SERIAL PRIMARY KEY,
+    Token VARCHAR(255) NOT NULL,
+    Data JSONB NOT NULL,
+    Options JSONB NOT NULL DEFAULT '{}',
+    Status VARCHAR(16) NOT NULL DEFAULT 'pending'
+        CHECK (Status IN ('pending', 'sent', 'dead', 'expired')),
+    Attempts INT NOT NULL DEFAULT 0,
+    NextAttempt TIMESTAMP NOT NULL DEFAULT (NOW() AT TIME ZONE 'UTC'),
+    LastError TEXT,
+    CreatedAt TIMESTAMP NOT NULL DEFAULT (NOW() AT TIME ZONE 'UTC'),
+    SentAt TIMESTAMP
+);
+
+-- the queue worker claims the pending notifications that are due
+CREATE INDEX NotificationQueue_Due ON NotificationQueue(NextAttempt) WHERE Status='pending';
@@ -0,0 +1,17 @@
+-- user-024: login sessions. Only hashes of the refresh tokens are kept;
+-- PreviousHash catches a refresh token being used twice.
+CREATE TABLE Sessions (
+    SessionId SERIAL PRIMARY KEY,
+    MemberId INT NOT NULL,
+    RefreshHash CHAR(64) NOT NULL UNIQUE,
+    PreviousHash CHAR(64),
+    Device TEXT NOT NULL,
+    CreatedAt TIMESTAMP NOT NULL DEFAULT (NOW() AT TIME ZONE 'UTC'),
+    LastUsed TIMESTAMP NOT NULL DEFAULT (NOW() AT TIME ZONE 'UTC'),
+    ExpiresAt TIMESTAMP NOT NULL,
+    RevokedAt TIMESTAMP,
+    FOREIGN KEY(MemberId) REFERENCES Members(MemberID)
+);
+
+CREATE INDEX Sessions_MemberId ON Sessions(MemberId);
+CREATE INDEX Sessions_PreviousHash ON Sessions(PreviousHash);
@@ -0,0 +1,7 @@
+-- user-024: a device's Pushy token belongs to the session that registered it,
+-- so revoking the session stops the device's notifications. Tokens from
+-- before sessions have none and are removed when all sessions are revoked.
+ALTER TABLE Push_Token
+    ADD COLUMN SessionId INT REFERENCES Sessions(SessionId);
+
+CREATE INDEX Push_Token_SessionId ON Push_Token(SessionId);
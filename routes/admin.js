@@ -0,0 +1,119 @@
+//express is the framework we're going to use to handle requests
+const express = require('express')
+
+//Access the connection to Heroku Database
+const pool = require('../utilities/exports').pool
+
+const router = express.Router()
+
+const validation = require('../utilities').validation
+let isPositiveIntProvided = validation.isPositiveIntProvided
+
+/**
+ * The states a queued notification may be in.
+ */
+const STATUSES = ['pending', 'sent', 'dead', 'expired']
+
+/**
+ * Default and maximum number of notifications returned by one request.
+ */
+const PAGE_SIZE = 50
+const MAX_PAGE_SIZE = 200
+
+/**
+ * @api {get} /admin/notifications Request to inspect the push notification queue
+ * @apiName GetAdminNotifications
+ * @apiGroup Admin
+ *
+ * @apiDescription Lists the notifications in the outbound queue in one state, newest first,
+ * with how many are in each state. By default this lists the dead-lettered notifications:
+ * those that failed every attempt. Only the administrators listed in ADMIN_EMAILS may ask.
+ *
+ * @apiHeader {String} authorization Valid JSON Web Token JWT
+ *
+ * @apiQuery {String} [status=dead] pending, sent, dead or expired
+ * @apiQuery {Number} [before] return the notifications queued before this one
+ * @apiQuery {Number} [limit=50] the number of notifications to return, at most 200
+ *
+ * @apiSuccess {Object} counts the number of notifications in each state
+ * @apiSuccess {Number} rowCount the number of notifications returned
+ * @apiSuccess {Object[]} notifications the notifications
+ * @apiSuccess {Number} notifications.notificationId the id of the notification
+ * @apiSuccess {String} notifications.token the device token it is for
+ * @apiSuccess {Object} notifications.data the payload
+ * @apiSuccess {Number} notifications.attempts the number of attempts made
+ * @apiSuccess {String} notifications.lastError why the last attempt failed, null if it did not
+ * @apiSuccess {String} notifications.createdAt when it was queued
+ * @apiSuccess {String} notifications.nextAttempt when it is next due, for pending notifications
+ * @apiSuccess {String} notifications.sentAt when it was sent, null if it was not
+ * @apiSuccess {Number} nextCursor the id to pass as before to get older notifications, null if there are none
+ *
+ * @apiError (403: Not An Administrator) {String} message "administrators only"
+ * @apiError (400: Invalid Parameter) {String} message "Malformed parameter. status must be pending,
+ * sent, dead or expired, before and limit must be numbers from 1 to 2147483647"
+ *
+ * @apiError (400: SQL Error) {String} message the reported SQL error details
+ */
+router.get('/notifications', (request, response, next) => {
+    //validate parameters
+    const { status = 'dead', before, limit } = request.query
+    if (!STATUSES.includes(status)
+            || ![before, limit].filter(value => value !== undefined).every(isPositiveIntProvided)) {
+        response.status(400).send({
+            message: "Malformed parameter. status must be pending, sent, dead or expired, before and limit must be numbers from 1 to 2147483647"
+        })
+    } else {
+        request.page = {
+            status,
+            before: before || 2**31 - 1,
+            size: Math.min(parseInt(limit) || PAGE_SIZE, MAX_PAGE_SIZE)
+        }
+        next()
+    }
+}, (request, response, next) => {
+    //count the notifications in each state
+    let query = 'SELECT Status, COUNT(*)::int AS Count FROM NotificationQueue GROUP BY Status'
+
+    pool.query(query)
+        .then(result => {
+            request.counts = Object.fromEntries(STATUSES.map(status => [status, 0]))
+            result.rows.forEach(row => request.counts[row.status] = row.count)
+            next()
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: err
+            })
+        })
+}, (request, response) => {
+    //fetch one more than asked for to tell whether there are more
+    const page = request.page
+    let query = `SELECT NotificationId AS "notificationId", Token AS "token", Data AS "data",
+                 Attempts AS "attempts", LastError AS "lastError", CreatedAt AS "createdAt",
+                 NextAttempt AS "nextAttempt", SentAt AS "sentAt"
+                 FROM NotificationQueue
+                 WHERE Status=$1 AND NotificationId < $2
+                 ORDER BY NotificationId DESC
+                 LIMIT $3`
+    let values = [page.status, page.before, page.size + 1]
+
+    pool.query(query, values)
+        .then(result => {
+            const notifications = result.rows.slice(0, page.size)
+            response.send({
+                counts: request.counts,
+                rowCount: notifications.length,
+                notifications: notifications,
+                nextCursor: result.rowCount > page.size
+                    ? notifications[notifications.length - 1].notificationId
+                    : null
+            })
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: err
+            })
+        })
+})
+
+module.exports = router
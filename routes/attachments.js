@@ -0,0 +1,273 @@
+//express is the framework we're going to use to handle requests
+const express = require('express')
+
+const crypto = require('crypto')
+
+const config = require('../config.js')
+
+//Access the connection to Heroku Database
+const pool = require('../utilities/exports').pool
+
+const storage = require('../utilities/exports').storage
+
+const router = express.Router()
+
+const middleware = require('../middleware')
+
+const validation = require('../utilities').validation
+let isStringProvided = validation.isStringProvided
+
+/**
+ * The kinds of file that may be attached to a message, each with a check that
+ * the file really is of that kind: the magic bytes it starts with, or for
+ * plain text, that it is UTF-8 with no NUL characters.
+ */
+const ALLOWED_TYPES = {
+    'image/jpeg': body => startsWith(body, [0xFF, 0xD8, 0xFF]),
+    'image/png': body => startsWith(body, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    'image/gif': body => startsWith(body, 'GIF87a') || startsWith(body, 'GIF89a'),
+    'image/webp': body => startsWith(body, 'RIFF') && body.toString('latin1', 8, 12) === 'WEBP',
+    'application/pdf': body => startsWith(body, '%PDF-'),
+    'text/plain': body => !body.includes(0) && isUtf8(body)
+}
+
+//whether the buffer starts with the given bytes or ASCII text
+function startsWith(body, prefix) {
+    const bytes = Buffer.from(prefix)
+    return body.length >= bytes.length && body.subarray(0, bytes.length).equals(bytes)
+}
+
+//whether the buffer is valid UTF-8
+function isUtf8(body) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(body)
+        return true
+    } catch (error) {
+        return false
+    }
+}
+
+/**
+ * Reads the whole request body into request.body as a Buffer, up to the
+ * configured attachment size.
+ */
+const readBody = express.raw({ type: () => true, limit: config.ATTACHMENT_MAX_BYTES })
+
+/**
+ * @apiDefine JSONError
+ * @apiError (400: JSON Error) {String} message "malformed JSON in parameters"
+ */
+
+/**
+ * @api {post} /attachments/:chatId Request to upload an attachment
+ * @apiName PostAttachments
+ * @apiGroup Attachments
+ *
+ * @apiDescription Uploads a file to attach to a message in the chat. The request body is
+ * the file itself, with its type as the Content-Type. To send it, pass the returned
+ * attachmentId in the attachments of POST /messages. Only the uploader may use it, and
+ * it is deleted if it is not sent within a day.
+ *
+ * @apiHeader {String} authorization Valid JSON Web Token JWT
+ * @apiHeader {String} content-type the type of the file: a JPEG, PNG, GIF or WebP image,
+ * a PDF or plain text
+ *
+ * @apiParam {Number} chatId the chat the file will be sent to
+ * @apiQuery {String} name the file name
+ *
+ * @apiSuccess (Success 201) {boolean} success true when the file is stored
+ * @apiSuccess (Success 201) {Object} attachment the stored attachment
+ * @apiSuccess (Success 201) {Number} attachment.attachmentId the id to pass to POST /messages
+ * @apiSuccess (Success 201) {String} attachment.name the file name
+ * @apiSuccess (Success 201) {Number} attachment.size the file size in bytes
+ * @apiSuccess (Success 201) {String} attachment.type the file type
+ * @apiSuccess (Success 201) {String} attachment.url the path to download the file from
+ *
+ * @apiError (400: Missing Parameters) {String} message "Missing required information"
+ * @apiError (400: Invalid Parameter) {String} message "Malformed parameter. chatId must be a number"
+ * @apiError (415: Unsupported Type) {String} message "Unsupported attachment type"
+ * @apiError (415: Mismatched Type) {String} message "Attachment content does not match its type"
+ * @apiError (413: Too Large) {String} message "Attachment too large"
+ * @apiError (404: ChatId Not Found) {String} message "Chat ID not found"
+ * @apiError (403: Not A Member) {String} message "user not in chat"
+ *
+ * @apiError (400: Storage Error) {String} message "Storage Error"
+ * @apiError (400: SQL Error) {String} message the reported SQL error details
+ */
+router.post("/:chatId", (request, response, next) => {
+    //validate parameters before reading the file
+    const type = (request.get('content-type') || '').split(';')[0].trim().toLowerCase()
+    if (!isStringProvided(request.query.name)) {
+        response.status(400).send({
+            message: "Missing required information"
+        })
+    } else if (isNaN(request.params.chatId)) {
+        response.status(400).send({
+            message: "Malformed parameter. chatId must be a number"
+        })
+    } else if (!Object.keys(ALLOWED_TYPES).includes(type)) {
+        response.status(415).send({
+            message: "Unsupported attachment type"
+        })
+    } else {
+        request.attachmentType = type
+        next()
+    }
+}, (request, response, next) => {
+    //validate chat id exists
+    let query = 'SELECT * FROM CHATS WHERE ChatId=$1'
+    let values = [request.params.chatId]
+
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                response.status(404).send({
+                    message: "Chat ID not found"
+                })
+            } else {
+                next()
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error on chatid check",
+                error: error
+            })
+        })
+}, middleware.checkChatMembership, (request, response, next) => {
+    //read the file
+    readBody(request, response, err => {
+        if (err && err.type === 'entity.too.large') {
+            response.status(413).send({
+                message: "Attachment too large"
+            })
+        } else if (err || !Buffer.isBuffer(request.body) || request.body.length == 0) {
+            response.status(400).send({
+                message: "Missing required information"
+            })
+        } else if (!ALLOWED_TYPES[request.attachmentType](request.body)) {
+            response.status(415).send({
+                message: "Attachment content does not match its type"
+            })
+        } else {
+            next()
+        }
+    })
+}, (request, response, next) => {
+    //store the file under a name no one can guess
+    request.storageKey = crypto.randomUUID()
+    storage.save(request.storageKey, request.body, request.attachmentType)
+        .then(() => next())
+        .catch(err => {
+            console.log('Storage Error', err)
+            response.status(400).send({
+                message: "Storage Error"
+            })
+        })
+}, (request, response) => {
+    //record the file, not yet linked to a message
+    let insert = `INSERT INTO Attachments(ChatId, MemberId, Name, Size, Type, StorageKey)
+                  VALUES ($1, $2, $3, $4, $5, $6)
+                  RETURNING AttachmentId`
+    let values = [request.params.chatId, request.decoded.memberid, request.query.name,
+        request.body.length, request.attachmentType, request.storageKey]
+    pool.query(insert, values)
+        .then(result => {
+            const attachmentId = result.rows[0].attachmentid
+            response.status(201).send({
+                success: true,
+                attachment: {
+                    attachmentId,
+                    name: request.query.name,
+                    size: request.body.length,
+                    type: request.attachmentType,
+                    url: `/attachments/${request.params.chatId}/${attachmentId}`
+                }
+            })
+        }).catch(err => {
+            storage.remove(request.storageKey).catch(() => {})
+            response.status(400).send({
+                message: "SQL Error on insert",
+                error: err
+            })
+        })
+})
+
+/**
+ * @api {get} /attachments/:chatId/:attachmentId Request to download an attachment
+ * @apiName GetAttachments
+ * @apiGroup Attachments
+ *
+ * @apiDescription Sends the file attached to a message, to members of the chat only.
+ * This is the url listed with the message's attachments in GET /messages.
+ *
+ * @apiHeader {String} authorization Valid JSON Web Token JWT
+ *
+ * @apiParam {Number} chatId the chat the file was sent to
+ * @apiParam {Number} attachmentId the attachment to download
+ *
+ * @apiSuccess {File} body the file, with its type as the Content-Type
+ *
+ * @apiError (400: Invalid Parameter) {String} message "Malformed parameter. chatId and attachmentId must be numbers"
+ * @apiError (403: Not A Member) {String} message "user not in chat"
+ * @apiError (404: Attachment Not Found) {String} message "Attachment not found"
+ *
+ * @apiError (400: Storage Error) {String} message "Storage Error"
+ * @apiError (400: SQL Error) {String} message the reported SQL error details
+ */
+router.get("/:chatId/:attachmentId", (request, response, next) => {
+    //validate parameter types
+    if (isNaN(request.params.chatId) || isNaN(request.params.attachmentId)) {
+        response.status(400).send({
+            message: "Malformed parameter. chatId and attachmentId must be numbers"
+        })
+    } else {
+        next()
+    }
+}, middleware.checkChatMembership, (request, response, next) => {
+    //find the attachment. Until it is sent, only the uploader may see it
+    let query = `SELECT Attachments.* FROM Attachments
+                 LEFT JOIN Messages ON Messages.PrimaryKey=Attachments.MessageId
+                 WHERE AttachmentId=$1 AND Attachments.ChatId=$2
+                 AND (NOT Messages.Deleted OR (Attachments.MessageId IS NULL AND Attachments.MemberId=$3))`
+    let values = [request.params.attachmentId, request.params.chatId, request.decoded.memberid]
+
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                response.status(404).send({
+                    message: "Attachment not found"
+                })
+            } else {
+                request.attachment = result.rows[0]
+                next()
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error on attachment check",
+                error: error
+            })
+        })
+}, (request, response) => {
+    //stream the file back
+    const attachment = request.attachment
+    storage.load(attachment.storagekey)
+        .then(body => new Promise((resolve, reject) => {
+            body.once('error', reject)
+            body.once('readable', () => resolve(body))
+        }))
+        .then(body => {
+            response.attachment(attachment.name)
+            response.set({
+                'Content-Type': attachment.type,
+                'Content-Length': attachment.size
+            })
+            body.pipe(response)
+        }).catch(err => {
+            console.log('Storage Error', err)
+            response.status(400).send({
+                message: "Storage Error"
+            })
+        })
+})
+
+module.exports = router
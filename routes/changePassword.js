@@ -1,7 +1,8 @@
 const express = require('express');
 const crypto = require('crypto');
 const pool = require('../utilities/exports').pool;
-const { generateHash, generateSalt } = require('../utilities/credentialingUtils.js');
+const sessions = require('../utilities/exports').sessions;
+const { generateSalt, hashPassword, verifyPassword } = require('../utilities/credentialingUtils.js');
 
 const router = express.Router();
 router.use(express.json());
@@ -15,6 +16,8 @@ router.use(express.json());
  * @apiParam {String} oldPassword The old password.
  * @apiParam {String} newPassword The new password.
  *
+ * @apiDescription Every session of the user is ended, so they must log in again on each device.
+ *
  * @apiSuccess {String} message Success message.
  *
  * @apiError (401: Unauthorized) {String} error Invalid email or password.
@@ -37,31 +40,42 @@ router.post('/', (req, res) => {
           res.status(401).json({ error: 'Invalid email or password' });
         } else {
           let { memberid: MemberID, saltedhash: SaltedHash, salt: SALT } = results.rows[0];
-          let hashedPassword = generateHash(oldPassword, SALT);
-
-          if (SaltedHash !== hashedPassword) {
-            res.status(401).json({ error: 'Invalid email or password' });
-          } else {
-            loggedInMemberID = MemberID; // Store the MemberID of the logged-in user
-
-            // Generate a new salt and hash for the new password
-            let newSalt = generateSalt(16);
-            let newHashedPassword = generateHash(newPassword, newSalt);
-
-            // Update the password in the database for the logged-in user only
-            pool.query(
-              'UPDATE Credentials SET SaltedHash = $1, SALT = $2 WHERE MemberID = $3',
-              [newHashedPassword, newSalt, loggedInMemberID],
-              (updateError) => {
-                if (updateError) {
-                  console.error('Error updating password:', updateError);
-                  res.status(500).json({ error: 'Internal server error' });
-                } else {
-                  res.status(200).json({ message: 'Password updated successfully' });
-                }
+          verifyPassword(oldPassword, SALT, SaltedHash)
+            .then((match) => {
+              if (!match) {
+                res.status(401).json({ error: 'Invalid email or password' });
+                return;
               }
-            );
-          }
+              loggedInMemberID = MemberID; // Store the MemberID of the logged-in user
+
+              // Generate a new salt and hash for the new password
+              let newSalt = generateSalt(16);
+              return hashPassword(newPassword, newSalt).then((newHashedPassword) => {
+                // Update the password in the database for the logged-in user only
+                pool.query(
+                  'UPDATE Credentials SET SaltedHash = $1, SALT = $2 WHERE MemberID = $3',
+                  [newHashedPassword, newSalt, loggedInMemberID],
+                  (updateError) => {
+                    if (updateError) {
+                      console.error('Error updating password:', updateError);
+                      res.status(500).json({ error: 'Internal server error' });
+                    } else {
+                      // End every session, so devices still using the old password must log in again
+                      sessions.revokeAllSessions(loggedInMemberID)
+                        .then(() => res.status(200).json({ message: 'Password updated successfully' }))
+                        .catch((revokeError) => {
+                          console.error('Error revoking sessions:', revokeError);
+                          res.status(500).json({ error: 'Internal server error' });
+                        });
+                    }
+                  }
+                );
+              });
+            })
+            .catch((hashError) => {
+              console.error('Error hashing password:', hashError);
+              res.status(500).json({ error: 'Internal server error' });
+            });
         }
       }
     }
@@ -6,9 +6,64 @@ const router = express.Router();
 
 const pushy = require('../utilities/exports').messaging
 
+const live = require('../utilities/exports').live
+
+const middleware = require('../middleware')
+
 const validation = require('../utilities').validation;
 let isStringProvided = validation.isStringProvided;
 
+/**
+ * Minimum time in milliseconds between two typing events relayed for the same
+ * member in the same chat.
+ */
+const TYPING_INTERVAL = 3000;
+
+/**
+ * When each member last had a typing event relayed, keyed by "chatId:memberId".
+ */
+const lastTyping = new Map();
+
+/**
+ * How much authority each chat role carries. Members may only remove, promote
+ * or demote members whose role ranks below their own.
+ */
+const ROLE_RANK = { member: 0, admin: 1, owner: 2 };
+
+/**
+ * The chat details PATCH /chats/:chatId may change, mapped to their columns.
+ */
+const CHAT_DETAILS = { name: 'Name', description: 'Description', avatar: 'Avatar' };
+
+/**
+ * Which of the chat's new messages a member is sent push notifications for.
+ */
+const NOTIFY_LEVELS = ['all', 'mentions'];
+
+/**
+ * Sends a chat action, live and through Pushy, to members of a chat.
+ * @param {Number} chatId the chat
+ * @param {String} action the chat action
+ * @param {String} name the name of the chat
+ * @param {Number[]} [memberids] who to tell, e.g. a member who was just removed. Defaults to every member
+ * @returns {Promise} resolves once the action is sent
+ */
+function sendChatActionToMembers(chatId, action, name, memberids) {
+    let query = `SELECT Recipients.memberid, token FROM (
+                     SELECT MemberId FROM ChatMembers WHERE ChatId=$1 AND $2::int[] IS NULL
+                     UNION SELECT unnest($2::int[])
+                 ) AS Recipients
+                 LEFT JOIN Push_Token ON Push_Token.memberid=Recipients.memberid`
+    let values = [chatId, memberids || null]
+    return pool.query(query, values)
+        .then(result => {
+            result.rows.filter(entry => entry.token).forEach(entry =>
+                pushy.sendChatAction(entry.token, action, chatId, name))
+            new Set(result.rows.map(entry => entry.memberid)).forEach(memberid =>
+                live.sendChatAction(memberid, action, chatId, name))
+        })
+}
+
 /**
  * @apiDefine JSONError
  * @apiError (400: JSON Error) {String} message "malformed JSON in parameters"
@@ -18,8 +73,16 @@ let isStringProvided = validation.isStringProvided;
  * @apiName PostChats
  * @apiGroup Chats
  * 
+ * @apiDescription Creates a chat and adds the user associated with the required JWT 
+ * to it as its owner. Any members listed are added in the same transaction, and each 
+ * of them is sent a single "newRoom" chat action. Every member must be a verified 
+ * contact of the user.
+ * 
  * @apiHeader {String} authorization Valid JSON Web Token JWT
  * 
+ * @apiBody {String} name the name of the chat
+ * @apiBody {String[]} [members] the emails of the users to add to the chat
+ * 
  * @apiSuccess (Success 201) {boolean} success true when the name is inserted
  * @apiSuccess (Success 201) {Number} chatID the generated chatId
  * 
@@ -27,6 +90,14 @@ let isStringProvided = validation.isStringProvided;
  * 
  * @apiError (400: Missing Parameters) {String} message "Missing required information"
  * 
+ * @apiError (400: Invalid Parameter) {String} message "Malformed parameter. members must be a list of emails"
+ * 
+ * @apiError (404: User Not Found) {String} message "User not found"
+ * @apiError (404: User Not Found) {String[]} emails the emails that do not belong to any user
+ * 
+ * @apiError (403: Not A Contact) {String} message "user is not a verified contact"
+ * @apiError (403: Not A Contact) {String[]} emails the emails of the users that are not verified contacts
+ * 
  * @apiError (400: SQL Error) {String} message the reported SQL error details
  *
  * @apiUse JSONError
@@ -36,27 +107,102 @@ router.post("/", (request, response, next) => {
         response.status(400).send({
             message: "Missing required information"
         })
+    } else if (request.body.members !== undefined
+            && !(Array.isArray(request.body.members) && request.body.members.every(isStringProvided))) {
+        response.status(400).send({
+            message: "Malformed parameter. members must be a list of emails"
+        })
     } else {
+        request.members = [...new Set(request.body.members || [])]
+            .filter(email => email !== request.decoded.email)
         next()
     }
-}, (request, response) => {
+}, (request, response, next) => {
+    //validate every invitee exists and is a verified contact of the caller
+    if (request.members.length == 0) {
+        request.memberids = []
+        next()
+        return
+    }
+    let query = `SELECT Members.Email, Members.MemberId,
+                 EXISTS (SELECT * FROM contacts
+                         WHERE verified = TRUE
+                         AND ((memberid_a = $2 AND memberid_b = Members.MemberId)
+                            OR (memberid_a = Members.MemberId AND memberid_b = $2))) AS contact
+                 FROM Members
+                 WHERE Members.Email = ANY($1)`
+    let values = [request.members, request.decoded.memberid]
 
-    let insert = `INSERT INTO Chats(Name)
-                  VALUES ($1)
+    pool.query(query, values)
+        .then(result => {
+            const found = result.rows.map(row => row.email)
+            const unknown = request.members.filter(email => !found.includes(email))
+            const strangers = result.rows.filter(row => !row.contact).map(row => row.email)
+            if (unknown.length > 0) {
+                response.status(404).send({
+                    message: "User not found",
+                    emails: unknown
+                })
+            } else if (strangers.length > 0) {
+                response.status(403).send({
+                    message: "user is not a verified contact",
+                    emails: strangers
+                })
+            } else {
+                request.memberids = result.rows.map(row => row.memberid)
+                next()
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: error
+            })
+        })
+}, (request, response, next) => {
+    //insert the chat, its owner and its members in a single statement so they succeed or fail together
+    let insert = `WITH NewChat AS (
+                      INSERT INTO Chats(Name)
+                      VALUES ($1)
+                      RETURNING ChatId
+                  ), Invitees AS (
+                      INSERT INTO ChatMembers(ChatId, MemberId)
+                      SELECT ChatId, unnest($3::int[]) FROM NewChat
+                  )
+                  INSERT INTO ChatMembers(ChatId, MemberId, Role)
+                  SELECT ChatId, $2, 'owner' FROM NewChat
                   RETURNING ChatId`
-    let values = [request.body.name]
+    let values = [request.body.name, request.decoded.memberid, request.memberids]
     pool.query(insert, values)
         .then(result => {
+            request.chatId = result.rows[0].chatid
+            next()
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: err
+            })
+
+        })
+}, (request, response) => {
+    // send one notification of the new chat to each invitee, naming the creator
+    let query = `SELECT memberid, token, (SELECT Username FROM Members WHERE MemberId = $2) AS sender
+                 FROM Push_Token WHERE memberid = ANY($1)`
+    let values = [request.memberids, request.decoded.memberid]
+    pool.query(query, values)
+        .then(result => {
+            result.rows.forEach(entry =>
+                pushy.sendChatAction(entry.token, "newRoom", request.chatId, request.body.name, entry.sender))
+            request.memberids.forEach(memberid =>
+                live.sendChatAction(memberid, "newRoom", request.chatId, request.body.name))
             response.status(201).send({
                 success: true,
-                chatID:result.rows[0].chatid
+                chatID: request.chatId
             })
         }).catch(err => {
             response.status(400).send({
-                message: "SQL Error",
+                message: "SQL Error on select from push token",
                 error: err
             })
-
         })
 });
 
@@ -74,7 +220,21 @@ router.post("/", (request, response, next) => {
  * @apiSuccess {Number} rowCount the number of chat rooms returned
  * @apiSuccess {Object[]} chatRooms list of chat rooms returned 
  * @apiSuccess {String} chatRooms.id id of the chat room
- * @apiSuccess {String} chatRooms.name name of the chat room
+ * @apiSuccess {String} chatRooms.name name of the chat room. For direct chats this is the 
+ * username of the other member
+ * @apiSuccess {boolean} chatRooms.direct true if the chat room is a direct chat between two contacts
+ * @apiSuccess {String} chatRooms.description description of the chat room, null if none is set
+ * @apiSuccess {String} chatRooms.avatar reference to the chat room's avatar image, null if none is set
+ * @apiSuccess {String} chatRooms.role the user's role in the chat room: owner, admin or member
+ * @apiSuccess {String} chatRooms.notifyLevel which new messages the user is notified of: all or mentions
+ * @apiSuccess {String} chatRooms.mutedUntil when the user's mute of the chat room ends, null if not muted
+ * @apiSuccess {Number} chatRooms.unreadCount number of messages from others posted after the 
+ * user's last read message
+ * @apiSuccess {Object} chatRooms.lastMessage the most recent message in the room, null if there are none
+ * @apiSuccess {Number} chatRooms.lastMessage.messageid the id of the message
+ * @apiSuccess {String} chatRooms.lastMessage.email the email of the user who posted the message
+ * @apiSuccess {String} chatRooms.lastMessage.message the message text
+ * @apiSuccess {String} chatRooms.lastMessage.timestamp when the message was posted
  * 
  * @apiError (400: SQL Error) {String} message the reported SQL error details
  * 
@@ -82,17 +242,57 @@ router.post("/", (request, response, next) => {
  */ 
 router.get("/", (request, response) => {
     //Retrieve the chat rooms
-    let query = `SELECT Chats.ChatID as "id", Chats.Name AS "name"
+    let query = `SELECT Chats.ChatID as "id",
+                CASE WHEN Chats.DirectKey IS NULL THEN Chats.Name
+                    ELSE COALESCE((SELECT Members.Username FROM ChatMembers AS Others
+                                   INNER JOIN Members ON Others.MemberId=Members.MemberId
+                                   WHERE Others.ChatId = Chats.ChatID
+                                   AND Others.MemberId <> $1
+                                   LIMIT 1), Chats.Name) END AS "name",
+                Chats.DirectKey IS NOT NULL AS "direct",
+                Chats.Description AS "description", Chats.Avatar AS "avatar",
+                ChatMembers.Role AS "role",
+                ChatMembers.NotifyLevel AS "notifyLevel",
+                CASE WHEN ChatMembers.MutedUntil > NOW() AT TIME ZONE 'UTC'
+                    THEN ChatMembers.MutedUntil END AS "mutedUntil",
+                (SELECT COUNT(*) FROM Messages
+                    WHERE Messages.ChatId = Chats.ChatID
+                    AND Messages.PrimaryKey > ChatMembers.LastReadMessageId
+                    AND Messages.MemberId <> $1
+                    AND NOT Messages.Deleted)::int AS "unreadCount",
+                LastMessage.MessageId AS "lastMessageId", LastMessage.Email AS "lastMessageEmail",
+                LastMessage.Message AS "lastMessageText", LastMessage.Timestamp AS "lastMessageTimestamp"
                 FROM Chats
                 JOIN ChatMembers
                 ON ChatMembers.ChatID = Chats.ChatID
+                LEFT JOIN LATERAL (
+                    SELECT Messages.PrimaryKey AS messageId, Members.Email,
+                    CASE WHEN Messages.Deleted THEN 'message deleted' ELSE Messages.Message END AS Message,
+                    Messages.Timestamp
+                    FROM Messages
+                    INNER JOIN Members ON Messages.MemberId=Members.MemberId
+                    WHERE Messages.ChatId = Chats.ChatID
+                    ORDER BY Messages.PrimaryKey DESC
+                    LIMIT 1
+                ) AS LastMessage ON TRUE
                 WHERE ChatMembers.MemberID = $1`
     let values = [request.decoded.memberid]
     pool.query(query, values)
         .then(result => {
+            //nest the last message columns the way GET /messages lists messages
+            const chatRooms = result.rows.map(row => {
+                const { lastMessageId, lastMessageEmail, lastMessageText, lastMessageTimestamp, ...room } = row
+                room.lastMessage = lastMessageId === null ? null : {
+                    messageid: lastMessageId,
+                    email: lastMessageEmail,
+                    message: lastMessageText,
+                    timestamp: lastMessageTimestamp
+                }
+                return room
+            })
             response.send({
                 rowCount : result.rowCount,
-                chatRooms: result.rows
+                chatRooms: chatRooms
             })
         }).catch(err => {
             response.status(400).send({
@@ -107,7 +307,10 @@ router.get("/", (request, response) => {
  * @apiName DeleteChat
  * @apiGroup Chats
  * 
- * @apiDescription Deletes the entire chat room, this may be a useless endpoint, do not use yet.
+ * @apiDescription Removes the user associated with the required JWT from the chat room, and 
+ * deletes the room once no members remain. If the owner leaves, ownership passes to an admin, 
+ * or to a member if there are no admins. The remaining members are sent a "memberLeft" chat 
+ * action, and an "ownerChanged" chat action when ownership passed.
  * 
  * @apiHeader {String} authorization Valid JSON Web Token JWT
  * 
@@ -125,6 +328,7 @@ router.get("/", (request, response) => {
  * @apiError (400: SQL Error) {String} message the reported SQL error details
  * 
  * @apiError (400: Unknown Chat ID) {String} message "Chat ID not found"
+ * @apiError (403: Not A Member) {String} message "user not in chat"
  * 
  * @apiUse JSONError
  */ 
@@ -155,6 +359,7 @@ router.delete("/:chatId?", (request, response, next) => {
                 });
             } else {
                 console.log("Chat ID exists");
+                request.name = result.rows[0].name;
                 next();
             }
         }).catch(error => {
@@ -164,13 +369,14 @@ router.delete("/:chatId?", (request, response, next) => {
                 error: error
             });
         });
-}, (request, response, next) => {
+}, middleware.checkChatMembership, (request, response, next) => {
     // delete chat room entry for the user from ChatMembers table
-    const deleteChatMemberQuery = `DELETE FROM ChatMembers WHERE ChatId=$1 AND MemberId=$2`;
+    const deleteChatMemberQuery = `DELETE FROM ChatMembers WHERE ChatId=$1 AND MemberId=$2 RETURNING Role`;
     const deleteChatMemberValues = [request.params.chatId, request.decoded.memberid];
     pool.query(deleteChatMemberQuery, deleteChatMemberValues)
         .then(deleteChatMemberResult => {
             console.log("Deleted chat member for chat ID:", request.params.chatId);
+            request.role = deleteChatMemberResult.rowCount > 0 ? deleteChatMemberResult.rows[0].role : undefined;
             next();
         })
         .catch(err => {
@@ -180,6 +386,34 @@ router.delete("/:chatId?", (request, response, next) => {
                 error: err
             });
         });
+}, (request, response, next) => {
+    // hand the chat over if its owner just left, preferring admins over members
+    if (request.role !== 'owner') {
+        next();
+        return;
+    }
+    const transferQuery = `UPDATE ChatMembers SET Role='owner'
+                           WHERE ChatId=$1 AND MemberId=(
+                               SELECT MemberId FROM ChatMembers
+                               WHERE ChatId=$1
+                               ORDER BY Role='admin' DESC, MemberId
+                               LIMIT 1
+                           )
+                           RETURNING MemberId`;
+    const transferValues = [request.params.chatId];
+    pool.query(transferQuery, transferValues)
+        .then(transferResult => {
+            console.log("Transferred ownership of chat ID:", request.params.chatId);
+            request.transferred = transferResult.rowCount > 0;
+            next();
+        })
+        .catch(err => {
+            console.log("Error transferring ownership:", err);
+            response.status(400).send({
+                message: "SQL Error",
+                error: err
+            });
+        });
 }, (request, response, next) => {
     // check if there are any remaining members in the chat
     const checkRemainingMembersQuery = `SELECT COUNT(*) AS memberCount FROM ChatMembers WHERE ChatId=$1`;
@@ -189,9 +423,15 @@ router.delete("/:chatId?", (request, response, next) => {
             const memberCount = parseInt(checkRemainingMembersResult.rows[0].membercount);
             if (memberCount > 0) {
                 console.log("Chat has remaining members. Chat ID:", request.params.chatId);
-                response.status(200).send({
-                    success: true
-                });
+                // tell the remaining members who left, and who owns the chat now
+                return sendChatActionToMembers(request.params.chatId, "memberLeft", request.name)
+                    .then(() => request.transferred
+                        && sendChatActionToMembers(request.params.chatId, "ownerChanged", request.name))
+                    .then(() => {
+                        response.status(200).send({
+                            success: true
+                        });
+                    });
             } else {
                 next();
             }
@@ -228,19 +468,20 @@ router.delete("/:chatId?", (request, response, next) => {
  * @apiName PutChats
  * @apiGroup Chats
  * 
- * @apiDescription Adds the user associated with the required JWT. 
+ * @apiDescription Kept for apps that join a chat after creating it. POST /chats already adds 
+ * the creator, so for a member of the chat this succeeds without changing anything. Users may 
+ * not add themselves to a chat: an owner or admin adds them with PUT /chats/:chatId/:email.
  * 
  * @apiHeader {String} authorization Valid JSON Web Token JWT
  * 
  * @apiParam {Number} chatId the chat to add the user to
  * 
- * @apiSuccess {boolean} success true when the name is inserted
+ * @apiSuccess {boolean} success true when the user is a member of the chat
  * 
- * @apiError (404: Chat Not Found) {String} message "chatID not found"
- * @apiError (404: Email Not Found) {String} message "email not found"
+ * @apiError (404: Chat Not Found) {String} message "Chat ID not found"
  * @apiError (400: Invalid Parameter) {String} message "Malformed parameter. chatId must be a number" 
- * @apiError (400: Duplicate Email) {String} message "user already joined"
  * @apiError (400: Missing Parameters) {String} message "Missing required information"
+ * @apiError (403: Not A Member) {String} message "user not in chat"
  * 
  * @apiError (400: SQL Error) {String} message the reported SQL error details
  * 
@@ -279,38 +520,76 @@ router.put("/:chatId/", (request, response, next) => {
                 error: error
             })
         })
-        //code here based on the results of the query
-}, (request, response, next) => {
-    //validate email exists 
-    let query = 'SELECT * FROM Members WHERE MemberId=$1'
-    let values = [request.decoded.memberid]
+}, middleware.checkChatMembership, (request, response) => {
+    //already a member, there is nothing to add
+    response.send({
+        success: true
+    })
+});
 
-    pool.query(query, values)
-        .then(result => {
-            if (result.rowCount == 0) {
-                response.status(404).send({
-                    message: "email not found"
-                })
-            } else {
-                //user found
-                next()
-            }
-        }).catch(error => {
-            response.status(400).send({
-                message: "SQL Error",
-                error: error
-            })
+/**
+ * @api {put} /chats/:chatId/notifications Request to change the notifications for a chat
+ * @apiName PutChatsNotifications
+ * @apiGroup Chats
+ * 
+ * @apiDescription Changes which push notifications the user associated with the required JWT 
+ * is sent for new messages in the chat. Live connections still receive every message, and 
+ * the user's own messages are never pushed to their devices.
+ * 
+ * @apiHeader {String} authorization Valid JSON Web Token JWT
+ * 
+ * @apiParam {Number} chatId the chat to change the notifications for
+ * @apiBody {String} [level] "all" to be notified of every message, "mentions" for only 
+ * messages that mention the user
+ * @apiBody {String} [mutedUntil] an ISO-8601 time to send no notifications until, null to unmute
+ * 
+ * @apiSuccess {boolean} success true when the notifications are changed
+ * @apiSuccess {Object} notifications the user's notifications for the chat
+ * @apiSuccess {String} notifications.notifyLevel "all" or "mentions"
+ * @apiSuccess {String} notifications.mutedUntil when the mute ends, null if not muted
+ * 
+ * @apiError (400: Missing Parameters) {String} message "Missing required information"
+ * @apiError (400: Invalid Parameter) {String} message "Malformed parameter. chatId must be a number"
+ * @apiError (400: Invalid Notifications) {String} message "Malformed parameter. level must be all or 
+ * mentions, mutedUntil must be an ISO-8601 time or null"
+ * @apiError (404: ChatId Not Found) {String} message "Chat ID not found"
+ * @apiError (403: Not A Member) {String} message "user not in chat"
+ * 
+ * @apiError (400: SQL Error) {String} message the reported SQL error details
+ * 
+ * @apiUse JSONError
+ */ 
+//registered before /:chatId/:email so "notifications" is not taken for an email
+router.put("/:chatId/notifications", (request, response, next) => {
+    //validate parameters
+    const { level, mutedUntil } = request.body
+    if (isNaN(request.params.chatId)) {
+        response.status(400).send({
+            message: "Malformed parameter. chatId must be a number"
+        })
+    } else if (level === undefined && mutedUntil === undefined) {
+        response.status(400).send({
+            message: "Missing required information"
+        })
+    } else if ((level !== undefined && !NOTIFY_LEVELS.includes(level))
+            || (mutedUntil !== undefined && mutedUntil !== null
+                && !(typeof mutedUntil === 'string' && !isNaN(Date.parse(mutedUntil))))) {
+        response.status(400).send({
+            message: "Malformed parameter. level must be all or mentions, mutedUntil must be an ISO-8601 time or null"
         })
+    } else {
+        next()
+    }
 }, (request, response, next) => {
-    //validate email does not already exist in the chat
-    let query = 'SELECT * FROM ChatMembers WHERE ChatId=$1 AND MemberId=$2'
-    let values = [request.params.chatId, request.decoded.memberid]
+    //validate chat id exists
+    let query = 'SELECT * FROM CHATS WHERE ChatId=$1'
+    let values = [request.params.chatId]
 
     pool.query(query, values)
         .then(result => {
-            if (result.rowCount > 0) {
-                response.status(400).send({
-                    message: "user already joined"
+            if (result.rowCount == 0) {
+                response.status(404).send({
+                    message: "Chat ID not found"
                 })
             } else {
                 next()
@@ -321,17 +600,29 @@ router.put("/:chatId/", (request, response, next) => {
                 error: error
             })
         })
-
-}, (request, response) => {
-    //Insert the memberId into the chat
-    let insert = `INSERT INTO ChatMembers(ChatId, MemberId)
-                  VALUES ($1, $2)
-                  RETURNING *`
+}, middleware.checkChatMembership, (request, response) => {
+    //update only the settings supplied. Mutes are stored in UTC like every other timestamp
+    const { level, mutedUntil } = request.body
     let values = [request.params.chatId, request.decoded.memberid]
-    pool.query(insert, values)
+    let changes = []
+    if (level !== undefined) {
+        values.push(level)
+        changes.push(`NotifyLevel=$${values.length}`)
+    }
+    if (mutedUntil !== undefined) {
+        values.push(mutedUntil === null ? null : new Date(mutedUntil).toISOString())
+        changes.push(`MutedUntil=$${values.length}::timestamptz AT TIME ZONE 'UTC'`)
+    }
+    let update = `UPDATE ChatMembers
+                  SET ${changes.join(', ')}
+                  WHERE ChatId=$1 AND MemberId=$2
+                  RETURNING NotifyLevel AS "notifyLevel",
+                  CASE WHEN MutedUntil > NOW() AT TIME ZONE 'UTC' THEN MutedUntil END AS "mutedUntil"`
+    pool.query(update, values)
         .then(result => {
             response.send({
-                success: true
+                success: true,
+                notifications: result.rows[0]
             })
         }).catch(err => {
             response.status(400).send({
@@ -346,7 +637,8 @@ router.put("/:chatId/", (request, response, next) => {
  * @apiName PutChatsEmail
  * @apiGroup Chats
  * 
- * @apiDescription Adds the user associated with the supplied email.
+ * @apiDescription Adds the user associated with the supplied email. Only the owner 
+ * and admins of the chat may add users.
  * 
  * @apiHeader {String} authorization Valid JSON Web Token JWT
  * 
@@ -360,6 +652,9 @@ router.put("/:chatId/", (request, response, next) => {
  * @apiError (404: User Not Found) {String} message "user not found"
  * @apiError (400: Invalid Parameter) {String} message "Malformed parameter. chatId must be a number" 
  * @apiError (400: Missing Parameters) {String} message "Missing required information"
+ * @apiError (400: Direct Chat) {String} message "cannot add members to a direct chat"
+ * @apiError (403: Not A Member) {String} message "user not in chat"
+ * @apiError (403: Not Permitted) {String} message "insufficient role in chat"
  * 
  * @apiError (400: SQL Error) {String} message the reported SQL error details
  * 
@@ -389,6 +684,10 @@ router.put("/:chatId/:email", (request, response, next) => {
                 response.status(404).send({
                     message: "Chat ID not found"
                 })
+            } else if (result.rows[0].directkey) {
+                response.status(400).send({
+                    message: "cannot add members to a direct chat"
+                })
             } else {
                 request.name = result.rows[0].name;
                 next()
@@ -399,7 +698,7 @@ router.put("/:chatId/:email", (request, response, next) => {
                 error: error
             })
         })
-}, (request, response, next) => {
+}, middleware.checkChatMembership, middleware.checkChatRole('owner', 'admin'), (request, response, next) => {
     //validate user exists 
     let query = 'SELECT * FROM Members WHERE Email=$1'
     let values = [request.params.email]
@@ -458,8 +757,9 @@ router.put("/:chatId/:email", (request, response, next) => {
         })
 }, (request, response) => {
     // send a notification of this action to the added member
-    let query = `SELECT token FROM Push_Token WHERE Push_token.memberid=$1`
-    let values = [request.memberid]
+    let query = `SELECT token, (SELECT Username FROM Members WHERE MemberId = $2) AS sender
+                 FROM Push_Token WHERE Push_token.memberid=$1`
+    let values = [request.memberid, request.decoded.memberid]
     pool.query(query, values)
         .then(result => {
             result.rows.forEach(entry => {
@@ -469,8 +769,10 @@ router.put("/:chatId/:email", (request, response, next) => {
                     "newRoom",
                     request.params.chatId,
                     request.name,
+                    entry.sender,
                     )
             })
+            live.sendChatAction(request.memberid, "newRoom", request.params.chatId, request.name)
             response.send({
                 success: true
             })
@@ -498,8 +800,10 @@ router.put("/:chatId/:email", (request, response, next) => {
  * @apiSuccess {Object[]} members List of members in the chat
  * @apiSuccess {String} messages.email The email of the member in the chat
  * @apiSuccess {String} messages.username The username of the member in the chat
+ * @apiSuccess {String} messages.role The role of the member in the chat: owner, admin or member
  * 
  * @apiError (404: ChatId Not Found) {String} message "Chat ID Not Found"
+ * @apiError (403: Not A Member) {String} message "user not in chat"
  * @apiError (400: Invalid Parameter) {String} message "Malformed parameter. chatId must be a number" 
  * @apiError (400: Missing Parameters) {String} message "Missing required information"
  * 
@@ -540,9 +844,9 @@ router.get("/:chatId", (request, response, next) => {
                 error: error
             })
         })
-}, (request, response) => {
+}, middleware.checkChatMembership, (request, response) => {
     //Retrieve the members
-    let query = `SELECT Members.Email, Members.Username
+    let query = `SELECT Members.Email, Members.Username, ChatMembers.Role
                 FROM ChatMembers
                 INNER JOIN Members ON ChatMembers.MemberId=Members.MemberId
                 WHERE ChatId=$1`
@@ -567,7 +871,9 @@ router.get("/:chatId", (request, response, next) => {
  * @apiGroup Chats
  * 
  * @apiDescription Does not delete the user associated with the required JWT but 
- * instead deletes the user based on the email parameter.  
+ * instead deletes the user based on the email parameter. The owner may remove anyone, 
+ * admins may only remove members. The removed user is sent a "removedFromRoom" chat action 
+ * and the remaining members a "memberRemoved" chat action.
  * 
  * @apiParam {Number} chatId the chat to delete the user from
  * @apiParam {String} email the email of the user to delete
@@ -579,6 +885,8 @@ router.get("/:chatId", (request, response, next) => {
  * @apiError (400: Invalid Parameter) {String} message "Malformed parameter. chatId must be a number" 
  * @apiError (400: Duplicate Email) {String} message "user not in chat"
  * @apiError (400: Missing Parameters) {String} message "Missing required information"
+ * @apiError (403: Not A Member) {String} message "user not in chat"
+ * @apiError (403: Not Permitted) {String} message "insufficient role in chat"
  * 
  * @apiError (400: SQL Error) {String} message the reported SQL error details
  * 
@@ -609,6 +917,7 @@ router.delete("/:chatId/:email", (request, response, next) => {
                     message: "Chat ID not found"
                 })
             } else {
+                request.name = result.rows[0].name
                 next()
             }
         }).catch(error => {
@@ -617,7 +926,7 @@ router.delete("/:chatId/:email", (request, response, next) => {
                 error: error
             })
         })
-}, (request, response, next) => {
+}, middleware.checkChatMembership, middleware.checkChatRole('owner', 'admin'), (request, response, next) => {
     //validate email exists AND convert it to the associated memberId
     let query = 'SELECT MemberID FROM Members WHERE Email=$1'
     let values = [request.params.email]
@@ -639,18 +948,22 @@ router.delete("/:chatId/:email", (request, response, next) => {
             })
         })
 }, (request, response, next) => {
-    //validate email exists in the chat
+    //validate email exists in the chat and ranks below the caller
     let query = 'SELECT * FROM ChatMembers WHERE ChatId=$1 AND MemberId=$2'
     let values = [request.params.chatId, request.params.email]
 
     pool.query(query, values)
         .then(result => {
-            if (result.rowCount > 0) {
-                next()
-            } else {
+            if (result.rowCount == 0) {
                 response.status(400).send({
                     message: "user not in chat"
                 })
+            } else if (ROLE_RANK[request.role] <= ROLE_RANK[result.rows[0].role]) {
+                response.status(403).send({
+                    message: "insufficient role in chat"
+                })
+            } else {
+                next()
             }
         }).catch(error => {
             response.status(400).send({
@@ -659,7 +972,7 @@ router.delete("/:chatId/:email", (request, response, next) => {
             })
         })
 
-}, (request, response) => {
+}, (request, response, next) => {
     //Delete the memberId from the chat
     let insert = `DELETE FROM ChatMembers
                   WHERE ChatId=$1
@@ -667,9 +980,902 @@ router.delete("/:chatId/:email", (request, response, next) => {
                   RETURNING *`
     let values = [request.params.chatId, request.params.email]
     pool.query(insert, values)
+        .then(result => {
+            next()
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: err
+            })
+        })
+}, (request, response) => {
+    // tell the removed member, and the members still in the chat
+    Promise.all([
+        sendChatActionToMembers(request.params.chatId, "removedFromRoom", request.name, [request.params.email]),
+        sendChatActionToMembers(request.params.chatId, "memberRemoved", request.name)
+    ]).then(() => {
+        response.send({
+            success: true
+        })
+    }).catch(err => {
+        response.status(400).send({
+            message: "SQL Error on select from push token",
+            error: err
+        })
+    })
+});
+
+/**
+ * @api {put} /chats/:chatId/read/:messageId Request to mark a chat as read
+ * @apiName PutChatsRead
+ * @apiGroup Chats
+ * 
+ * @apiDescription Marks every message in the chat up to and including messageId as read 
+ * by the user associated with the required JWT. The read position never moves backwards.
+ * 
+ * @apiHeader {String} authorization Valid JSON Web Token JWT
+ * 
+ * @apiParam {Number} chatId the chat to mark as read
+ * @apiParam {Number} messageId the id of the last message the user has read
+ * 
+ * @apiSuccess {boolean} success true when the read position is stored
+ * @apiSuccess {Number} lastReadMessageId the user's read position after the update
+ * 
+ * @apiError (404: Chat Not Found) {String} message "Chat ID not found"
+ * @apiError (404: Message Not Found) {String} message "Message ID not found"
+ * @apiError (400: Invalid Parameter) {String} message "Malformed parameter. chatId and messageId must be numbers" 
+ * @apiError (403: Not A Member) {String} message "user not in chat"
+ * 
+ * @apiError (400: SQL Error) {String} message the reported SQL error details
+ * 
+ * @apiUse JSONError
+ */ 
+router.put("/:chatId/read/:messageId", (request, response, next) => {
+    //validate parameter types
+    if (isNaN(request.params.chatId) || isNaN(request.params.messageId)) {
+        response.status(400).send({
+            message: "Malformed parameter. chatId and messageId must be numbers"
+        })
+    } else {
+        next()
+    }
+}, (request, response, next) => {
+    //validate chat id exists
+    let query = 'SELECT * FROM CHATS WHERE ChatId=$1'
+    let values = [request.params.chatId]
+
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                response.status(404).send({
+                    message: "Chat ID not found"
+                })
+            } else {
+                next()
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: error
+            })
+        })
+}, middleware.checkChatMembership, (request, response, next) => {
+    //validate the message belongs to the chat
+    let query = 'SELECT * FROM Messages WHERE PrimaryKey=$1 AND ChatId=$2'
+    let values = [request.params.messageId, request.params.chatId]
+
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                response.status(404).send({
+                    message: "Message ID not found"
+                })
+            } else {
+                next()
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: error
+            })
+        })
+}, (request, response) => {
+    //move the read position forward, never back
+    let update = `UPDATE ChatMembers
+                  SET LastReadMessageId = GREATEST(LastReadMessageId, $3)
+                  WHERE ChatId=$1 AND MemberId=$2
+                  RETURNING LastReadMessageId`
+    let values = [request.params.chatId, request.decoded.memberid, request.params.messageId]
+    pool.query(update, values)
         .then(result => {
             response.send({
-                success: true
+                success: true,
+                lastReadMessageId: result.rows[0].lastreadmessageid
+            })
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: err
+            })
+        })
+});
+
+/**
+ * @api {post} /chats/:chatId/typing Request to tell a chat the user is typing
+ * @apiName PostChatsTyping
+ * @apiGroup Chats
+ * 
+ * @apiDescription Relays a short lived "typing" event for the user associated with the 
+ * required JWT to the other members of the chat. At most one event is relayed every three 
+ * seconds per user and chat; calls inside that window succeed without relaying anything.
+ * 
+ * @apiHeader {String} authorization Valid JSON Web Token JWT
+ * 
+ * @apiParam {Number} chatId the chat the user is typing in
+ * 
+ * @apiSuccess {boolean} success true when the request is accepted
+ * @apiSuccess {boolean} relayed false when the event was dropped by the throttle
+ * 
+ * @apiError (404: Chat Not Found) {String} message "Chat ID not found"
+ * @apiError (400: Invalid Parameter) {String} message "Malformed parameter. chatId must be a number" 
+ * @apiError (403: Not A Member) {String} message "user not in chat"
+ * 
+ * @apiError (400: SQL Error) {String} message the reported SQL error details
+ * 
+ * @apiUse JSONError
+ */ 
+router.post("/:chatId/typing", (request, response, next) => {
+    //validate parameter type
+    if (isNaN(request.params.chatId)) {
+        response.status(400).send({
+            message: "Malformed parameter. chatId must be a number"
+        })
+    } else {
+        next()
+    }
+}, (request, response, next) => {
+    //validate chat id exists
+    let query = 'SELECT * FROM CHATS WHERE ChatId=$1'
+    let values = [request.params.chatId]
+
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                response.status(404).send({
+                    message: "Chat ID not found"
+                })
+            } else {
+                next()
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: error
+            })
+        })
+}, middleware.checkChatMembership, (request, response, next) => {
+    //throttle repeated events from the same member in the same chat
+    const now = Date.now()
+    const key = request.params.chatId + ":" + request.decoded.memberid
+    if (now - (lastTyping.get(key) || 0) < TYPING_INTERVAL) {
+        response.send({
+            success: true,
+            relayed: false
+        })
+    } else {
+        lastTyping.set(key, now)
+        //forget stale entries so the map doesn't grow with every member ever seen
+        lastTyping.forEach((time, entry) => {
+            if (now - time >= TYPING_INTERVAL) {
+                lastTyping.delete(entry)
+            }
+        })
+        next()
+    }
+}, (request, response) => {
+    // relay the event to the other members of the chat
+    let query = `SELECT ChatMembers.memberid, token FROM ChatMembers
+                    LEFT JOIN Push_Token ON
+                    Push_Token.memberid=ChatMembers.memberid
+                    WHERE ChatMembers.chatId=$1 AND ChatMembers.memberid<>$2`
+    let values = [request.params.chatId, request.decoded.memberid]
+    pool.query(query, values)
+        .then(result => {
+            result.rows.filter(entry => entry.token).forEach(entry =>
+                pushy.sendTyping(entry.token, request.params.chatId, request.decoded.email))
+            new Set(result.rows.map(entry => entry.memberid)).forEach(memberid =>
+                live.sendTyping(memberid, request.params.chatId, request.decoded.email))
+            response.send({
+                success: true,
+                relayed: true
+            })
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error on select from push token",
+                error: err
+            })
+        })
+});
+
+/**
+ * @api {put} /chats/:chatId/role/:email Request to change a member's role in a chat
+ * @apiName PutChatsRole
+ * @apiGroup Chats
+ * 
+ * @apiDescription Promotes or demotes the member with the supplied email. Only the owner 
+ * may change roles. Giving another member the owner role transfers ownership, and the 
+ * previous owner becomes an admin. The member is notified with a "roleChanged" chat action, 
+ * or, when ownership is transferred, every member with an "ownerChanged" chat action.
+ * 
+ * @apiHeader {String} authorization Valid JSON Web Token JWT
+ * 
+ * @apiParam {Number} chatId the chat the member belongs to
+ * @apiParam {String} email the email of the member to promote or demote
+ * @apiBody {String} role the new role: owner, admin or member
+ * 
+ * @apiSuccess {boolean} success true when the role is changed
+ * 
+ * @apiError (404: Chat Not Found) {String} message "Chat ID not found"
+ * @apiError (404: Email Not Found) {String} message "email not found"
+ * @apiError (400: Invalid Parameter) {String} message "Malformed parameter. chatId must be a number" 
+ * @apiError (400: Invalid Role) {String} message "Malformed parameter. role must be owner, admin or member" 
+ * @apiError (403: Not A Member) {String} message "user not in chat"
+ * @apiError (400: Own Role) {String} message "cannot change own role"
+ * @apiError (403: Not Permitted) {String} message "insufficient role in chat"
+ * 
+ * @apiError (400: SQL Error) {String} message the reported SQL error details
+ * 
+ * @apiUse JSONError
+ */ 
+router.put("/:chatId/role/:email", (request, response, next) => {
+    //validate parameters
+    if (isNaN(request.params.chatId)) {
+        response.status(400).send({
+            message: "Malformed parameter. chatId must be a number"
+        })
+    } else if (!Object.keys(ROLE_RANK).includes(request.body.role)) {
+        response.status(400).send({
+            message: "Malformed parameter. role must be owner, admin or member"
+        })
+    } else {
+        next()
+    }
+}, (request, response, next) => {
+    //validate chat id exists
+    let query = 'SELECT * FROM CHATS WHERE ChatId=$1'
+    let values = [request.params.chatId]
+
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                response.status(404).send({
+                    message: "Chat ID not found"
+                })
+            } else {
+                request.name = result.rows[0].name
+                next()
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: error
+            })
+        })
+}, middleware.checkChatMembership, middleware.checkChatRole('owner'), (request, response, next) => {
+    //validate email exists AND convert it to the associated memberId
+    let query = 'SELECT MemberID FROM Members WHERE Email=$1'
+    let values = [request.params.email]
+
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                response.status(404).send({
+                    message: "email not found"
+                })
+            } else if (result.rows[0].memberid == request.decoded.memberid) {
+                response.status(400).send({
+                    message: "cannot change own role"
+                })
+            } else {
+                request.memberid = result.rows[0].memberid
+                next()
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: error
+            })
+        })
+}, (request, response, next) => {
+    //validate email exists in the chat
+    let query = 'SELECT * FROM ChatMembers WHERE ChatId=$1 AND MemberId=$2'
+    let values = [request.params.chatId, request.memberid]
+
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount > 0) {
+                next()
+            } else {
+                response.status(400).send({
+                    message: "user not in chat"
+                })
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: error
+            })
+        })
+}, (request, response, next) => {
+    //set the new role. Handing over ownership demotes the caller to admin in the same statement
+    let update = `UPDATE ChatMembers
+                  SET Role = CASE WHEN MemberId=$2 THEN $4 ELSE 'admin' END
+                  WHERE ChatId=$1
+                  AND (MemberId=$2 OR ($4='owner' AND MemberId=$3))`
+    let values = [request.params.chatId, request.memberid, request.decoded.memberid, request.body.role]
+    pool.query(update, values)
+        .then(result => {
+            next()
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: err
+            })
+        })
+}, (request, response) => {
+    // send a notification of this action to the member, or to everyone when the owner changed
+    let sent = request.body.role == 'owner'
+        ? sendChatActionToMembers(request.params.chatId, "ownerChanged", request.name)
+        : sendChatActionToMembers(request.params.chatId, "roleChanged", request.name, [request.memberid])
+    sent.then(() => {
+        response.send({
+            success: true
+        })
+    }).catch(err => {
+        response.status(400).send({
+            message: "SQL Error on select from push token",
+            error: err
+        })
+    })
+});
+
+/**
+ * @api {post} /chats/direct/:email Request the direct chat with a contact
+ * @apiName PostChatsDirect
+ * @apiGroup Chats
+ * 
+ * @apiDescription Finds the private chat between the user associated with the required JWT 
+ * and the verified contact with the supplied email, creating it if it does not exist yet. 
+ * There is at most one direct chat per pair of users and no one else can be added to it. 
+ * The contact is sent a "newRoom" chat action when the chat is created.
+ * 
+ * @apiHeader {String} authorization Valid JSON Web Token JWT
+ * 
+ * @apiParam {String} email the email of the contact to chat with
+ * 
+ * @apiSuccess {boolean} success true when the chat is found or created
+ * @apiSuccess {Number} chatID the id of the direct chat
+ * @apiSuccess {boolean} created true if the chat was created by this request
+ * 
+ * @apiError (400: Own Email) {String} message "cannot start a direct chat with yourself"
+ * @apiError (404: User Not Found) {String} message "User not found"
+ * @apiError (403: Not A Contact) {String} message "user is not a verified contact"
+ * 
+ * @apiError (400: SQL Error) {String} message the reported SQL error details
+ * 
+ * @apiUse JSONError
+ */ 
+router.post("/direct/:email", (request, response, next) => {
+    //validate the other user exists, and find the caller's username to name the chat for them
+    let query = `SELECT MemberId, (SELECT Username FROM Members WHERE MemberId=$2) AS name
+                 FROM Members WHERE Email=$1`
+    let values = [request.params.email, request.decoded.memberid]
+
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                response.status(404).send({
+                    message: "User not found"
+                })
+            } else if (result.rows[0].memberid == request.decoded.memberid) {
+                response.status(400).send({
+                    message: "cannot start a direct chat with yourself"
+                })
+            } else {
+                request.memberid = result.rows[0].memberid
+                request.name = result.rows[0].name
+                next()
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: error
+            })
+        })
+}, (request, response, next) => {
+    //validate the users are verified contacts
+    let query = `SELECT * FROM contacts
+                 WHERE verified = TRUE
+                 AND ((memberid_a = $1 AND memberid_b = $2)
+                    OR (memberid_a = $2 AND memberid_b = $1))`
+    let values = [request.decoded.memberid, request.memberid]
+
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount > 0) {
+                next()
+            } else {
+                response.status(403).send({
+                    message: "user is not a verified contact"
+                })
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: error
+            })
+        })
+}, (request, response, next) => {
+    //create the chat unless the pair already has one. DirectKey is unique, so
+    //two concurrent requests cannot both create a chat
+    request.directKey = [request.decoded.memberid, request.memberid].sort((a, b) => a - b).join(':')
+    let insert = `WITH NewChat AS (
+                      INSERT INTO Chats(Name, DirectKey)
+                      VALUES ('', $3)
+                      ON CONFLICT (DirectKey) DO NOTHING
+                      RETURNING ChatId
+                  ), NewMembers AS (
+                      INSERT INTO ChatMembers(ChatId, MemberId)
+                      SELECT ChatId, unnest(ARRAY[$1, $2]::int[]) FROM NewChat
+                  )
+                  SELECT ChatId FROM NewChat`
+    let values = [request.decoded.memberid, request.memberid, request.directKey]
+    pool.query(insert, values)
+        .then(result => {
+            request.created = result.rowCount > 0
+            if (request.created) {
+                request.chatId = result.rows[0].chatid
+            }
+            next()
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: err
+            })
+        })
+}, (request, response, next) => {
+    //the chat already existed: look it up and bring back anyone who left it
+    if (request.created) {
+        next()
+        return
+    }
+    let query = `WITH Existing AS (
+                     SELECT ChatId FROM Chats WHERE DirectKey=$3
+                 ), Rejoined AS (
+                     INSERT INTO ChatMembers(ChatId, MemberId)
+                     SELECT Existing.ChatId, Pair.MemberId
+                     FROM Existing, unnest(ARRAY[$1, $2]::int[]) AS Pair(MemberId)
+                     WHERE NOT EXISTS (SELECT * FROM ChatMembers
+                                       WHERE ChatMembers.ChatId=Existing.ChatId
+                                       AND ChatMembers.MemberId=Pair.MemberId)
+                 )
+                 SELECT ChatId FROM Existing`
+    let values = [request.decoded.memberid, request.memberid, request.directKey]
+    pool.query(query, values)
+        .then(result => {
+            response.send({
+                success: true,
+                chatID: result.rows[0].chatid,
+                created: false
+            })
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: err
+            })
+        })
+}, (request, response) => {
+    // send a notification of the new chat to the contact, named after the caller
+    let query = `SELECT token FROM Push_Token WHERE Push_token.memberid=$1`
+    let values = [request.memberid]
+    pool.query(query, values)
+        .then(result => {
+            result.rows.forEach(entry =>
+                pushy.sendChatAction(entry.token, "newRoom", request.chatId, request.name, request.name))
+            live.sendChatAction(request.memberid, "newRoom", request.chatId, request.name)
+            response.status(201).send({
+                success: true,
+                chatID: request.chatId,
+                created: true
+            })
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error on select from push token",
+                error: err
+            })
+        })
+});
+
+/**
+ * @api {patch} /chats/:chatId Request to update a chat's details
+ * @apiName PatchChats
+ * @apiGroup Chats
+ * 
+ * @apiDescription Updates the name, description and/or avatar of the chat. Only the owner 
+ * and admins of the chat may change its details. Fields left out of the body are not changed; 
+ * description and avatar may be set to null to clear them. Who made the change and when is 
+ * recorded, and every member is sent a "chatUpdated" chat action.
+ * 
+ * @apiHeader {String} authorization Valid JSON Web Token JWT
+ * 
+ * @apiParam {Number} chatId the chat to update
+ * @apiBody {String} [name] the new name of the chat
+ * @apiBody {String} [description] the new description of the chat
+ * @apiBody {String} [avatar] a reference to the new avatar image of the chat
+ * 
+ * @apiSuccess {boolean} success true when the chat is updated
+ * @apiSuccess {Object} chat the chat's details after the update
+ * @apiSuccess {Number} chat.id id of the chat room
+ * @apiSuccess {String} chat.name name of the chat room
+ * @apiSuccess {String} chat.description description of the chat room
+ * @apiSuccess {String} chat.avatar reference to the chat room's avatar image
+ * @apiSuccess {String} chat.updatedBy email of the user who made the change
+ * @apiSuccess {String} chat.updatedAt when the change was made
+ * 
+ * @apiError (400: Missing Parameters) {String} message "Missing required information"
+ * @apiError (400: Invalid Parameter) {String} message "Malformed parameter. chatId must be a number" 
+ * @apiError (400: Invalid Details) {String} message "Malformed parameter. name must be a non-empty string, 
+ * description and avatar must be strings or null"
+ * @apiError (404: Chat Not Found) {String} message "Chat ID not found"
+ * @apiError (403: Not A Member) {String} message "user not in chat"
+ * @apiError (403: Not Permitted) {String} message "insufficient role in chat"
+ * 
+ * @apiError (400: SQL Error) {String} message the reported SQL error details
+ * 
+ * @apiUse JSONError
+ */ 
+router.patch("/:chatId", (request, response, next) => {
+    //validate parameters
+    const body = request.body
+    if (isNaN(request.params.chatId)) {
+        response.status(400).send({
+            message: "Malformed parameter. chatId must be a number"
+        })
+    } else if (!Object.keys(CHAT_DETAILS).some(field => field in body)) {
+        response.status(400).send({
+            message: "Missing required information"
+        })
+    } else if (('name' in body && !(typeof body.name === 'string' && isStringProvided(body.name)))
+            || ('description' in body && body.description !== null && typeof body.description !== 'string')
+            || ('avatar' in body && body.avatar !== null && typeof body.avatar !== 'string')) {
+        response.status(400).send({
+            message: "Malformed parameter. name must be a non-empty string, description and avatar must be strings or null"
+        })
+    } else {
+        next()
+    }
+}, (request, response, next) => {
+    //validate chat id exists
+    let query = 'SELECT * FROM CHATS WHERE ChatId=$1'
+    let values = [request.params.chatId]
+
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                response.status(404).send({
+                    message: "Chat ID not found"
+                })
+            } else {
+                next()
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: error
+            })
+        })
+}, middleware.checkChatMembership, middleware.checkChatRole('owner', 'admin'), (request, response, next) => {
+    //update only the fields supplied, recording who changed them
+    let values = [request.params.chatId, request.decoded.memberid]
+    let changes = Object.keys(CHAT_DETAILS)
+        .filter(field => field in request.body)
+        .map(field => {
+            values.push(request.body[field])
+            return `${CHAT_DETAILS[field]}=$${values.length}`
+        })
+    let update = `UPDATE Chats
+                  SET ${changes.join(', ')}, UpdatedBy=$2, UpdatedAt=NOW() AT TIME ZONE 'UTC'
+                  WHERE ChatId=$1
+                  RETURNING ChatId AS "id", Name AS "name", Description AS "description",
+                  Avatar AS "avatar", UpdatedAt AS "updatedAt"`
+    pool.query(update, values)
+        .then(result => {
+            request.chat = result.rows[0]
+            request.chat.updatedBy = request.decoded.email
+            next()
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: err
+            })
+        })
+}, (request, response) => {
+    // tell every member to refresh the chat
+    sendChatActionToMembers(request.params.chatId, "chatUpdated", request.chat.name)
+        .then(() => {
+            response.send({
+                success: true,
+                chat: request.chat
+            })
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error on select from push token",
+                error: err
+            })
+        })
+});
+
+/**
+ * Validates the chat and message ids of a pin request, checks the chat exists
+ * and the user may pin in it, then checks the message is in the chat. Chats
+ * without an owner or admin, such as direct chats, let any member pin.
+ */
+const pinChecks = [(request, response, next) => {
+    //validate parameter types
+    if (isNaN(request.params.chatId) || isNaN(request.params.messageId)) {
+        response.status(400).send({
+            message: "Malformed parameter. chatId and messageId must be numbers"
+        })
+    } else {
+        next()
+    }
+}, (request, response, next) => {
+    //validate chat id exists, and whether anyone in it manages it
+    let query = `SELECT Name, NOT EXISTS (
+                     SELECT 1 FROM ChatMembers WHERE ChatId=$1 AND Role IN ('owner', 'admin')
+                 ) AS unmanaged
+                 FROM Chats WHERE ChatId=$1`
+    let values = [request.params.chatId]
+
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                response.status(404).send({
+                    message: "Chat ID not found"
+                })
+            } else {
+                request.name = result.rows[0].name
+                request.unmanaged = result.rows[0].unmanaged
+                next()
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: error
+            })
+        })
+}, middleware.checkChatMembership, (request, response, next) => {
+    //any member may pin in a chat nobody manages
+    if (request.unmanaged) {
+        next()
+    } else {
+        middleware.checkChatRole('owner', 'admin')(request, response, next)
+    }
+}, (request, response, next) => {
+    //validate the message exists in this chat
+    let query = 'SELECT * FROM Messages WHERE PrimaryKey=$1 AND ChatId=$2 AND NOT Deleted'
+    let values = [request.params.messageId, request.params.chatId]
+
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                response.status(404).send({
+                    message: "Message ID not found"
+                })
+            } else {
+                next()
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error on message check",
+                error: error
+            })
+        })
+}];
+
+/**
+ * Tells every member of the chat in the request to refresh its pinned messages.
+ * @param {String} action "pinned" or "unpinned"
+ * @returns {Function} the final middleware function of a pin request
+ */
+function notifyPin(action) {
+    return (request, response) => {
+        sendChatActionToMembers(request.params.chatId, action, request.name)
+            .then(() => {
+                response.send({
+                    success: true
+                })
+            }).catch(err => {
+                response.status(400).send({
+                    message: "SQL Error on select from push token",
+                    error: err
+                })
+            })
+    }
+}
+
+/**
+ * @api {post} /chats/:chatId/pins/:messageId Request to pin a message
+ * @apiName PostChatPins
+ * @apiGroup Chats
+ * 
+ * @apiDescription Pins a message to the chat. Only the owner and admins of the chat may pin 
+ * messages, or any member in a chat with neither, such as a direct chat. Every member is sent 
+ * a "pinned" chat action. Pinning a pinned message has no further effect.
+ * 
+ * @apiHeader {String} authorization Valid JSON Web Token JWT
+ * 
+ * @apiParam {Number} chatId the chat the message belongs to
+ * @apiParam {Number} messageId the message to pin
+ * 
+ * @apiSuccess {boolean} success true when the message is pinned
+ * 
+ * @apiError (400: Invalid Parameter) {String} message "Malformed parameter. chatId and messageId must be numbers"
+ * @apiError (404: ChatId Not Found) {String} message "Chat ID not found"
+ * @apiError (403: Not A Member) {String} message "user not in chat"
+ * @apiError (403: Insufficient Role) {String} message "insufficient role in chat"
+ * @apiError (404: Message Not Found) {String} message "Message ID not found"
+ * 
+ * @apiError (400: SQL Error) {String} message the reported SQL error details
+ * 
+ * @apiUse JSONError
+ */
+router.post("/:chatId/pins/:messageId", pinChecks, (request, response, next) => {
+    //pin the message
+    let insert = `INSERT INTO Pins(ChatId, MessageId, PinnedBy)
+                  VALUES ($1, $2, $3)
+                  ON CONFLICT DO NOTHING`
+    let values = [request.params.chatId, request.params.messageId, request.decoded.memberid]
+    pool.query(insert, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                //already pinned, nothing to tell anyone
+                response.send({
+                    success: true
+                })
+            } else {
+                next()
+            }
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error on insert",
+                error: err
+            })
+        })
+}, notifyPin("pinned"));
+
+/**
+ * @api {delete} /chats/:chatId/pins/:messageId Request to unpin a message
+ * @apiName DeleteChatPins
+ * @apiGroup Chats
+ * 
+ * @apiDescription Unpins a message from the chat. Only the owner and admins of the chat may 
+ * unpin messages, or any member in a chat with neither, such as a direct chat. Every member 
+ * is sent an "unpinned" chat action.
+ * 
+ * @apiHeader {String} authorization Valid JSON Web Token JWT
+ * 
+ * @apiParam {Number} chatId the chat the message belongs to
+ * @apiParam {Number} messageId the message to unpin
+ * 
+ * @apiSuccess {boolean} success true when the message is unpinned
+ * 
+ * @apiError (400: Invalid Parameter) {String} message "Malformed parameter. chatId and messageId must be numbers"
+ * @apiError (404: ChatId Not Found) {String} message "Chat ID not found"
+ * @apiError (403: Not A Member) {String} message "user not in chat"
+ * @apiError (403: Insufficient Role) {String} message "insufficient role in chat"
+ * @apiError (404: Message Not Found) {String} message "Message ID not found"
+ * @apiError (404: Not Pinned) {String} message "message not pinned"
+ * 
+ * @apiError (400: SQL Error) {String} message the reported SQL error details
+ * 
+ * @apiUse JSONError
+ */
+router.delete("/:chatId/pins/:messageId", pinChecks, (request, response, next) => {
+    //unpin the message
+    let query = 'DELETE FROM Pins WHERE ChatId=$1 AND MessageId=$2'
+    let values = [request.params.chatId, request.params.messageId]
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                response.status(404).send({
+                    message: "message not pinned"
+                })
+            } else {
+                next()
+            }
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error on delete",
+                error: err
+            })
+        })
+}, notifyPin("unpinned"));
+
+/**
+ * @api {get} /chats/:chatId/pins Request to get the pinned messages of a chat
+ * @apiName GetChatPins
+ * @apiGroup Chats
+ * 
+ * @apiDescription Lists the messages pinned to the chat, most recently pinned first.
+ * 
+ * @apiHeader {String} authorization Valid JSON Web Token JWT
+ * 
+ * @apiParam {Number} chatId the chat to look up
+ * 
+ * @apiSuccess {Number} rowCount the number of pinned messages
+ * @apiSuccess {Object[]} pins the pinned messages
+ * @apiSuccess {Number} pins.messageId the id of the message
+ * @apiSuccess {String} pins.email the email of the author of the message
+ * @apiSuccess {String} pins.message the message text
+ * @apiSuccess {String} pins.timestamp the UTC ISO-8601 timestamp of when the message was posted
+ * @apiSuccess {String} pins.pinnedBy the email of the member who pinned the message
+ * @apiSuccess {String} pins.pinnedAt the UTC ISO-8601 timestamp of when the message was pinned
+ * 
+ * @apiError (400: Invalid Parameter) {String} message "Malformed parameter. chatId must be a number"
+ * @apiError (404: ChatId Not Found) {String} message "Chat ID not found"
+ * @apiError (403: Not A Member) {String} message "user not in chat"
+ * 
+ * @apiError (400: SQL Error) {String} message the reported SQL error details
+ * 
+ * @apiUse JSONError
+ */
+router.get("/:chatId/pins", (request, response, next) => {
+    //validate parameter type
+    if (isNaN(request.params.chatId)) {
+        response.status(400).send({
+            message: "Malformed parameter. chatId must be a number"
+        })
+    } else {
+        next()
+    }
+}, (request, response, next) => {
+    //validate chat id exists
+    let query = 'SELECT * FROM CHATS WHERE ChatId=$1'
+    let values = [request.params.chatId]
+
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                response.status(404).send({
+                    message: "Chat ID not found"
+                })
+            } else {
+                next()
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: error
+            })
+        })
+}, middleware.checkChatMembership, (request, response) => {
+    //list the pins
+    let query = `SELECT Messages.PrimaryKey AS "messageId", Authors.Email AS "email",
+                 Messages.Message AS "message", Messages.TimeStamp AS "timestamp",
+                 Pinners.Email AS "pinnedBy", Pins.PinnedAt AS "pinnedAt"
+                 FROM Pins
+                 INNER JOIN Messages ON Messages.PrimaryKey=Pins.MessageId
+                 INNER JOIN Members AS Authors ON Authors.MemberId=Messages.MemberId
+                 LEFT JOIN Members AS Pinners ON Pinners.MemberId=Pins.PinnedBy
+                 WHERE Pins.ChatId=$1 AND NOT Messages.Deleted
+                 ORDER BY Pins.PinnedAt DESC`
+    let values = [request.params.chatId]
+    pool.query(query, values)
+        .then(result => {
+            response.send({
+                rowCount: result.rowCount,
+                pins: result.rows
             })
         }).catch(err => {
             response.status(400).send({
@@ -8,6 +8,8 @@ const validation = require('../utilities').validation;
 
 const pushy = require('../utilities/exports').messaging
 
+const live = require('../utilities/exports').live
+
 let isStringProvided = validation.isStringProvided;
 
 /**
@@ -245,12 +247,14 @@ router.post("/:userEmail?", (request, response, next) => {
             })
         })   
 }, (request, response) => {
-    //Send a notification to other party
-    let query = `SELECT token FROM Push_Token WHERE memberid = $1`
-    let values = [request.targetId]
+    //Send a notification to other party, naming the requester
+    let query = `SELECT token, (SELECT Username FROM Members WHERE MemberId = $2) AS sender
+                 FROM Push_Token WHERE memberid = $1`
+    let values = [request.targetId, request.decoded.memberid]
     pool.query(query, values)
         .then(result => {
-            result.rows.forEach(row => pushy.sendContactUpdate(row.token, "newRequest", request.connectionId))
+            result.rows.forEach(row => pushy.sendContactUpdate(row.token, "newRequest", request.connectionId, row.sender))
+            live.sendContactUpdate(request.targetId, "newRequest", request.connectionId)
             response.status(201).send({
                 success: true,
                 connectionId: request.connectionId
@@ -345,6 +349,7 @@ router.put("/accept/:connId?", (request, response, next) => {
     pool.query(query, values)
         .then(result => {
             result.rows.forEach(row => pushy.sendContactUpdate(row.token, "confirmRequest", request.connectionId))
+            live.sendContactUpdate(request.targetId, "confirmRequest", request.connectionId)
             response.status(201).send({
                 success: true
             })
@@ -436,6 +441,7 @@ router.delete("/:connId?", (request, response, next) => {
     pool.query(query, values)
         .then(result => {
             result.rows.forEach(row => pushy.sendContactUpdate(row.token, "deleteContact", request.connectionId))
+            live.sendContactUpdate(request.targetId, "deleteContact", request.connectionId)
             response.status(201).send({
                 success: true
             })
@@ -18,6 +18,7 @@ const getLatLong = require("../utilities/exports").getLatLong;
  * @apiSuccess {String} state The state name of the location
  * @apiSuccess {Object} forecast The 7-day forecast at the location
  * @apiSuccess {Object} hourlyForecast The 24 hour forecast at the location
+ * @apiSuccess {String} hourlyForecast.time The UTC ISO-8601 timestamp of the start of the hour
  *
  * @apiUse JSONError
  * @apiError (400: Invalid Parameters) {String} message "Location must be either a valid comma-separated lat,long pair, or a zipcode"
@@ -87,7 +88,7 @@ router.get("/:location?", async (request, response, next) => {
                     }
                     Object.keys(result?.properties?.periods).filter(num => num <= 24 && num >= 1).forEach((num) => {
                         const { startTime, isDaytime, temperature, temperatureUnit, shortForecast } = result.properties.periods[num];
-                        const time = new Date(startTime).toLocaleTimeString();
+                        const time = new Date(startTime); // sent as UTC, and localized by the tz parameter
                         hourlyForecast[timeCount++] = { time, isDaytime, temperature, temperatureUnit, shortForecast };
                     });
                 });
@@ -1,4 +1,3 @@
-const config = require("../config.js");
 /**
  * Framework used to handle requests,
  */
@@ -11,33 +10,40 @@ const pool = require("../utilities").pool;
 const validation = require("../utilities").validation;
 const isStringProvided = validation.isStringProvided;
 
-const generateHash = require("../utilities").generateHash;
+const { verifyPassword, needsRehash, hashPassword, generateSalt } = require("../utilities");
 
-const router = express.Router();
+const sessions = require("../utilities").sessions;
 
-// Pull in the JWT module along with the secret key
-const jwt = require("jsonwebtoken");
-const key = {
-    secret: config.JSON_WEB_TOKEN,
-};
+const router = express.Router();
 
 /**
  * @api {get} /auth Request to log a user into the system
  * @apiName GetAuth
  * @apiGroup Auth
  *
+ * @apiDescription Starts a session for the device. The token is short lived; before it
+ * expires, trade the refresh token for a new pair with POST /auth/refresh.
+ *
  * @apiHeader {String} authorization "username:password" uses Basic Auth
+ * @apiQuery {String} [device] a name for the device, shown in GET /auth/sessions.
+ * Defaults to the User-Agent
  *
  * @apiSuccess {boolean} success true when the name is found and password matches
  * @apiSuccess {String} message "Authentication successful!"
  * @apiSuccess {String} token JSON Web Token
+ * @apiSuccess {Number} expiresIn the number of seconds the token is valid for
+ * @apiSuccess {String} refreshToken the token to pass to POST /auth/refresh. It works once
+ * @apiSuccess {Number} sessionId the id of the new session
  *
  *    * @apiSuccessExample {json} Success-Response:
  *         HTTP/1.1 200 OK
  *         {
  *             "success": true,
  *             "message": "Authentication successful!",
- *             "token": "eyJhbGciO...abc123"
+ *             "token": "eyJhbGciO...abc123",
+ *             "expiresIn": 900,
+ *             "refreshToken": "9f86d08...a08",
+ *             "sessionId": 42
  *         }
  *
  * @apiError (300: User is not verified) {String} message "User is not verified"
@@ -108,7 +114,7 @@ router.get("/", (request, response, next) => {
             });
         });
 }, 
-(request, response) => {
+(request, response, next) => {
     // Execute Login
     const result = request.userCredentials;
 
@@ -118,53 +124,74 @@ router.get("/", (request, response, next) => {
     // Retrieve the salted-hash password provided from the DB
     const storedSaltedHash = result.rows[0].saltedhash;
 
-    // Generate a hash based on the stored salt and the provided password
-    const providedSaltedHash = generateHash(request.auth.password, salt);
-
-    // Did our salted hash match their salted hash?
-    if (storedSaltedHash === providedSaltedHash) { // Credential match
-        const token = jwt.sign(
-            {
-                email: request.auth.email,
-                memberid: result.rows[0].memberid,
-            },
-            key.secret,
-            {
-                expiresIn: "14 days", // expires in 14 days
+    // Hash the provided password with the stored salt, the same way the stored hash was made
+    verifyPassword(request.auth.password, salt, storedSaltedHash)
+        .then(match => {
+            if (!match) { // Credential mismatch
+                response.status(400).send({
+                    message: "Credentials did not match",
+                });
+                return;
             }
-        );
-        console.log('user', request.auth.email, 'logged in with token:', token);
+            request.memberid = result.rows[0].memberid;
 
-        // Check if member is verified
-        const query = `SELECT * FROM members WHERE email = $1 AND verified = TRUE`
+            // Check if member is verified
+            const query = `SELECT * FROM members WHERE email = $1 AND verified = TRUE`
 
-        pool
-            .query(query, [request.auth.email])
-            .then(result => {
-                if(result.rowCount == 0) {
-                    response.status(300).send({
-                        message: "User is not verified"
-                    })
-                }
-                else {
-                    response.status(200).send({
-                        success: true,
-                        message: "Authentication successful!",
-                        token: token,
-                    });
-                }
-            })
-            .catch(err => {
-                response.status(400).send({
-                    message: err.detail,
-                });
-            })
-        
-    } else { // Credential mismatch
-        response.status(400).send({
-            message: "Credentials did not match",
-        });
+            return pool
+                .query(query, [request.auth.email])
+                .then(result => {
+                    if(result.rowCount == 0) {
+                        response.status(300).send({
+                            message: "User is not verified"
+                        })
+                    }
+                    else {
+                        next();
+                    }
+                })
+        })
+        .catch(err => {
+            response.status(400).send({
+                message: err.detail,
+            });
+        })
+},
+(request, response, next) => {
+    // Move passwords hashed an older way to the current one, now that we know the password
+    const storedSaltedHash = request.userCredentials.rows[0].saltedhash;
+    if (!needsRehash(storedSaltedHash)) {
+        return next();
     }
+    const salt = generateSalt(32);
+    hashPassword(request.auth.password, salt)
+        .then(saltedHash => pool.query(
+            "UPDATE Credentials SET SaltedHash=$1, Salt=$2 WHERE MemberId=$3 AND SaltedHash=$4",
+            [saltedHash, salt, request.memberid, storedSaltedHash]))
+        .catch(err => {
+            // The old hash still works, so try again next time rather than fail the login
+            console.log('Error rehashing password of', request.auth.email, err);
+        })
+        .then(() => next());
+},
+(request, response) => {
+    // Start a session for this device
+    const device = request.query.device || request.get("user-agent") || "unknown device";
+    sessions
+        .createSession(request.memberid, request.auth.email, device)
+        .then(session => {
+            console.log('user', request.auth.email, 'logged in, session', session.sessionId);
+            response.status(200).send({
+                success: true,
+                message: "Authentication successful!",
+                ...session,
+            });
+        })
+        .catch(err => {
+            response.status(400).send({
+                message: err.detail,
+            });
+        });
 });
 
 module.exports = router;
@@ -8,8 +8,109 @@ const router = express.Router()
 
 const msg_functions = require('../utilities/exports').messaging
 
+const live = require('../utilities/exports').live
+
+const storage = require('../utilities/exports').storage
+
+const middleware = require('../middleware')
+
 const validation = require('../utilities').validation
 let isStringProvided = validation.isStringProvided
+let isPositiveIntProvided = validation.isPositiveIntProvided
+
+/**
+ * Default and maximum number of messages returned by one GET /messages request.
+ */
+const PAGE_SIZE = 15
+const MAX_PAGE_SIZE = 50
+
+/**
+ * Longest reaction accepted, in characters. Enough for any emoji sequence.
+ */
+const MAX_REACTION_LENGTH = 32
+
+/**
+ * Number of characters of the quoted message sent along with a reply.
+ */
+const EXCERPT_LENGTH = 100
+
+/**
+ * Most attachments one message may carry.
+ */
+const MAX_ATTACHMENTS = 10
+
+/**
+ * The JSON object describing one row of Attachments, as listed with a message.
+ */
+const ATTACHMENT_JSON = `json_build_object(
+    'attachmentId', AttachmentId, 'name', Name, 'size', Size, 'type', Type,
+    'url', '/attachments/' || ChatId || '/' || AttachmentId)`
+
+/**
+ * Matches an @username mention. A trailing full stop ends the mention rather
+ * than belonging to it.
+ */
+const MENTION = /@([\w.-]*\w)/g
+
+/**
+ * Finds the usernames mentioned in a message.
+ * @param {String} message the message text
+ * @returns {String[]} the lower case usernames, each once
+ */
+function mentionedUsernames(message) {
+    return [...new Set([...message.matchAll(MENTION)].map(match => match[1].toLowerCase()))]
+}
+
+/**
+ * Builds the query for one page of the messages in chat $1, starting next to
+ * the message id in $2, as seen by the member in $3.
+ * @param {String} comparison how a message id must compare to $2 to be included, e.g. "<"
+ * @param {String} order "DESC" to page towards older messages, "ASC" towards newer ones
+ * @param {String} limit the placeholder holding the page size
+ * @param {String} filter (Optional) further conditions on the messages, starting with AND
+ * @returns {String} the query
+ */
+function pageQuery(comparison, order, limit, filter = '') {
+    return `SELECT Messages.PrimaryKey AS messageId, Members.Email,
+            CASE WHEN Messages.Deleted THEN 'message deleted' ELSE Messages.Message END AS Message,
+            Messages.Deleted, 
+            Messages.Timestamp,
+            Edits.EditedAt IS NOT NULL AS edited,
+            Edits.EditedAt AS "editedAt",
+            ARRAY(SELECT Readers.Email FROM ChatMembers AS Reads
+                  INNER JOIN Members AS Readers ON Reads.MemberId=Readers.MemberId
+                  WHERE Reads.ChatId=Messages.ChatId
+                  AND Reads.MemberId<>Messages.MemberId
+                  AND Reads.LastReadMessageId >= Messages.PrimaryKey) AS "readBy",
+            COALESCE((SELECT json_agg(json_build_object(
+                          'reaction', Reaction, 'count', Count, 'reacted', Reacted)
+                          ORDER BY Count DESC, Reaction)
+                      FROM (SELECT Reaction, COUNT(*)::int AS Count, bool_or(MemberId=$3) AS Reacted
+                            FROM MessageReactions
+                            WHERE MessageReactions.MessageId=Messages.PrimaryKey
+                            GROUP BY Reaction) AS Counts), '[]') AS reactions,
+            Messages.ReplyTo AS "replyTo",
+            ParentAuthors.Email AS "replyToEmail",
+            CASE WHEN Parents.Deleted THEN 'message deleted'
+                 ELSE LEFT(Parents.Message, ${EXCERPT_LENGTH}) END AS "replyToExcerpt",
+            (SELECT COUNT(*)::int FROM Messages AS Replies
+             WHERE Replies.ReplyTo=Messages.PrimaryKey) AS "replyCount",
+            CASE WHEN Messages.Deleted THEN '[]'
+                 ELSE COALESCE((SELECT json_agg(${ATTACHMENT_JSON} ORDER BY AttachmentId)
+                                FROM Attachments
+                                WHERE Attachments.MessageId=Messages.PrimaryKey), '[]') END AS attachments
+            FROM Messages
+            INNER JOIN Members ON Messages.MemberId=Members.MemberId
+            LEFT JOIN Messages AS Parents ON Parents.PrimaryKey=Messages.ReplyTo
+            LEFT JOIN Members AS ParentAuthors ON Parents.MemberId=ParentAuthors.MemberId
+            LEFT JOIN (SELECT MessageId, MAX(EditedAt) AS EditedAt
+                       FROM MessageEdits
+                       GROUP BY MessageId) AS Edits
+            ON Edits.MessageId=Messages.PrimaryKey
+            WHERE Messages.ChatId=$1 AND Messages.PrimaryKey ${comparison} $2 ${filter}
+            ORDER BY Messages.PrimaryKey ${order}
+            LIMIT ${limit}`
+}
 
 /**
  * @apiDefine JSONError
@@ -22,11 +123,19 @@ let isStringProvided = validation.isStringProvided
  * @apiGroup Messages
  * 
  * @apiDescription Adds the message from the user associated with the required JWT. 
+ * The other members of the chat are sent a push notification, following their notification 
+ * settings for the chat, and every live session of every member receives the message. 
+ * Members mentioned as @username are sent a "mention" notification instead, even if they 
+ * muted the chat.
  * 
  * @apiHeader {String} authorization Valid JSON Web Token JWT
  * 
  * @apiParam {Number} chatId the id of th chat to insert this message into
- * @apiParam {String} message a message to store 
+ * @apiParam {String} message a message to store. May be empty when attachments are sent
+ * @apiParam {Number} [replyTo] the id of the message in the same chat this message replies to. 
+ * Its author is sent a "reply" event instead of the message's
+ * @apiParam {Number[]} [attachments] the ids of files uploaded with POST /attachments/:chatId 
+ * to send with the message, at most 10
  * 
  * @apiSuccess (Success 201) {boolean} success true when the name is inserted
  * 
@@ -38,11 +147,24 @@ let isStringProvided = validation.isStringProvided
  * 
  * @apiError (400: Unknown Chat ID) {String} message "invalid chat id"
  * 
+ * @apiError (403: Not A Member) {String} message "user not in chat"
+ * 
+ * @apiError (400: Invalid Reply) {String} message "Malformed parameter. replyTo must be a number from 1 to 2147483647"
+ * 
+ * @apiError (404: Reply Not Found) {String} message "Message to reply to not found"
+ * 
+ * @apiError (400: Invalid Attachments) {String} message "Malformed parameter. attachments must be a list of at most 10 ids"
+ * 
+ * @apiError (404: Attachment Not Found) {String} message "Attachment not found"
+ * 
  * @apiUse JSONError
  */ 
 router.post("/", (request, response, next) => {
     //validate on empty parameters
-    if (request.body.chatId === undefined || !isStringProvided(request.body.message)) {
+    const attachments = request.body.attachments
+    if (request.body.chatId === undefined
+            || (request.body.message !== undefined && typeof request.body.message !== 'string')
+            || !(isStringProvided(request.body.message) || (Array.isArray(attachments) && attachments.length > 0))) {
         response.status(400).send({
             message: "Missing required information"
         })
@@ -50,7 +172,18 @@ router.post("/", (request, response, next) => {
         response.status(400).send({
             message: "Malformed parameter. chatId must be a number"
         })
+    } else if (request.body.replyTo !== undefined && !isPositiveIntProvided(request.body.replyTo)) {
+        response.status(400).send({
+            message: "Malformed parameter. replyTo must be a number from 1 to 2147483647"
+        })
+    } else if (attachments !== undefined && !(Array.isArray(attachments) && attachments.length <= MAX_ATTACHMENTS
+            && attachments.every(isPositiveIntProvided))) {
+        response.status(400).send({
+            message: `Malformed parameter. attachments must be a list of at most ${MAX_ATTACHMENTS} ids`
+        })
     } else {
+        request.attachments = [...new Set((attachments || []).map(id => parseInt(id)))]
+        request.mentions = mentionedUsernames(request.body.message || '')
         next()
     }
 }, (request, response, next) => {
@@ -73,39 +206,106 @@ router.post("/", (request, response, next) => {
                 error: error
             })
         })
+}, middleware.checkChatMembership, (request, response, next) => {
+    //validate the message replied to is in the same chat
+    if (request.body.replyTo === undefined) {
+        next()
+        return
+    }
+    let query = `SELECT Messages.MemberId, Members.Email,
+                 LEFT(Messages.Message, ${EXCERPT_LENGTH}) AS Excerpt
+                 FROM Messages
+                 INNER JOIN Members ON Messages.MemberId=Members.MemberId
+                 WHERE PrimaryKey=$1 AND ChatId=$2 AND NOT Deleted`
+    let values = [request.body.replyTo, request.body.chatId]
+
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                response.status(404).send({
+                    message: "Message to reply to not found"
+                })
+            } else {
+                request.parent = result.rows[0]
+                next()
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error on reply check",
+                error: error
+            })
+        })
 }, (request, response, next) => {
-            //validate memberid exists in the chat
-            let query = 'SELECT * FROM ChatMembers WHERE ChatId=$1 AND MemberId=$2'
-            let values = [request.body.chatId, request.decoded.memberid]
-        
-            pool.query(query, values)
-                .then(result => {
-                    if (result.rowCount > 0) {
-                        next()
-                    } else {
-                        response.status(400).send({
-                            message: "user not in chat"
-                        })
-                    }
-                }).catch(error => {
-                    response.status(400).send({
-                        message: "SQL Error on member in chat check",
-                        error: error
-                    })
+    //validate the attachments were uploaded to this chat by the caller and not sent yet
+    if (request.attachments.length == 0) {
+        next()
+        return
+    }
+    let query = `SELECT AttachmentId FROM Attachments
+                 WHERE AttachmentId = ANY($1::int[]) AND ChatId=$2 AND MemberId=$3
+                 AND MessageId IS NULL`
+    let values = [request.attachments, request.body.chatId, request.decoded.memberid]
+
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount != request.attachments.length) {
+                response.status(404).send({
+                    message: "Attachment not found"
                 })
-    
+            } else {
+                next()
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error on attachment check",
+                error: error
+            })
+        })
 }, (request, response, next) => {
-    //add the message to the database
-    let insert = `INSERT INTO Messages(ChatId, Message, MemberId)
-                  VALUES($1, $2, $3) 
-                  RETURNING PrimaryKey AS MessageId, ChatId, Message, MemberId AS email, TimeStamp`
-    let values = [request.body.chatId, request.body.message, request.decoded.memberid]
+    //add the message to the database, linking its attachments and recording the members
+    //it mentions in the same statement
+    let insert = `WITH Inserted AS (
+                      INSERT INTO Messages(ChatId, Message, MemberId, ReplyTo)
+                      VALUES($1, $2, $3, $4) 
+                      RETURNING PrimaryKey AS MessageId, ChatId, Message, MemberId AS email, TimeStamp,
+                      ReplyTo AS "replyTo"
+                  ), Linked AS (
+                      UPDATE Attachments SET MessageId=(SELECT MessageId FROM Inserted)
+                      WHERE AttachmentId = ANY($5::int[]) AND MessageId IS NULL
+                      RETURNING *
+                  ), Mentioned AS (
+                      INSERT INTO Mentions(MessageId, MemberId)
+                      SELECT Inserted.MessageId, ChatMembers.MemberId
+                      FROM Inserted, ChatMembers
+                      INNER JOIN Members ON Members.MemberId=ChatMembers.MemberId
+                      WHERE ChatMembers.ChatId=$1 AND ChatMembers.MemberId<>$3
+                      AND LOWER(Members.Username) = ANY($6::text[])
+                      RETURNING MemberId
+                  )
+                  SELECT Inserted.*,
+                  COALESCE((SELECT json_agg(${ATTACHMENT_JSON} ORDER BY AttachmentId) FROM Linked), '[]')
+                  AS attachments,
+                  ARRAY(SELECT MemberId FROM Mentioned) AS mentioned,
+                  (SELECT Username FROM Members WHERE MemberId=$3) AS "senderName",
+                  Chats.Name AS "chatName", Chats.DirectKey IS NOT NULL AS direct
+                  FROM Inserted
+                  INNER JOIN Chats ON Chats.ChatId=Inserted.ChatId`
+    let values = [request.body.chatId, request.body.message || '', request.decoded.memberid,
+        request.body.replyTo || null, request.attachments, request.mentions]
     pool.query(insert, values)
         .then(result => {
             if (result.rowCount == 1) {
                 //insertion success. Attach the message to the Response obj
-                response.message = result.rows[0]
+                const { mentioned, senderName, chatName, direct, ...message } = result.rows[0]
+                request.mentioned = mentioned
+                //who and where the message is from, for the visible notifications
+                request.context = { senderName, chatName, direct }
+                response.message = message
                 response.message.email = request.decoded.email
+                if (request.parent) {
+                    response.message.replyToEmail = request.parent.email
+                    response.message.replyToExcerpt = request.parent.excerpt
+                }
                 //Pass on to next to push
                 next()
             } else {
@@ -121,20 +321,59 @@ router.post("/", (request, response, next) => {
             })
         })
 }, (request, response) => {
-        // send a notification of this message to ALL members with registered tokens
-        let query = `SELECT token FROM Push_Token
-                        INNER JOIN ChatMembers ON
+        // send a notification of this message to the other members with registered tokens
+        // who want one, and to every live session of every member. notify is "all",
+        // "mentions", or "none" for the sender and members who muted the chat. Mentioned
+        // members get a "mention" notification instead, whatever their settings. badge
+        // is the member's unread messages across all their chats
+        let query = `SELECT ChatMembers.memberid, token,
+                        CASE WHEN ChatMembers.memberid=$2 THEN 'none'
+                             WHEN ChatMembers.MutedUntil > NOW() AT TIME ZONE 'UTC' THEN 'none'
+                             ELSE ChatMembers.NotifyLevel END AS notify,
+                        (SELECT COUNT(*) FROM ChatMembers AS Mine
+                         INNER JOIN Messages ON Messages.ChatId=Mine.ChatId
+                         AND Messages.PrimaryKey > Mine.LastReadMessageId
+                         AND Messages.MemberId<>Mine.MemberId
+                         AND NOT Messages.Deleted
+                         WHERE Mine.MemberId=ChatMembers.memberid)::int AS badge
+                        FROM ChatMembers
+                        LEFT JOIN Push_Token ON
                         Push_Token.memberid=ChatMembers.memberid
                         WHERE ChatMembers.chatId=$1`
-        let values = [request.body.chatId]
+        let values = [request.body.chatId, request.decoded.memberid]
         pool.query(query, values)
             .then(result => {
                 console.log(request.decoded.email)
                 console.log(request.body.message)
-                result.rows.forEach(entry => 
-                    msg_functions.sendMessageToIndividual(
-                        entry.token, 
-                        response.message))
+                const mentioned = result.rows.filter(entry => request.mentioned.includes(entry.memberid))
+                //the author of the message replied to, if they are still in the chat, did not
+                //reply to themselves and were not mentioned
+                const parent = request.parent
+                const parentRows = parent && parent.memberid != request.decoded.memberid
+                    && !request.mentioned.includes(parent.memberid)
+                    ? result.rows.filter(entry => entry.memberid == parent.memberid)
+                    : []
+                result.rows.filter(entry => entry.token && entry.notify == 'all'
+                        && !mentioned.includes(entry) && !parentRows.includes(entry))
+                    .forEach(entry => 
+                        msg_functions.sendMessageToIndividual(
+                            entry.token, 
+                            response.message,
+                            { ...request.context, badge: entry.badge }))
+                mentioned.filter(entry => entry.token).forEach(entry =>
+                    msg_functions.sendMention(entry.token, response.message,
+                        { ...request.context, badge: entry.badge }))
+                new Set(result.rows.map(entry => entry.memberid)).forEach(memberid =>
+                    live.sendMessageToMember(memberid, response.message))
+                request.mentioned.forEach(memberid =>
+                    live.sendMention(memberid, response.message))
+                //they get a "reply" notification instead of the message's, unless they muted the chat
+                parentRows.filter(entry => entry.token && entry.notify != 'none').forEach(entry =>
+                    msg_functions.sendReply(entry.token, response.message,
+                        { ...request.context, badge: entry.badge }))
+                if (parentRows.length > 0) {
+                    live.sendReply(parent.memberid, response.message)
+                }
                 response.send({
                     success:true
                 })
@@ -147,28 +386,148 @@ router.post("/", (request, response, next) => {
             })
 })
 
+/**
+ * @api {get} /messages/mentions Request to get the messages mentioning the user
+ * @apiName GetMessageMentions
+ * @apiGroup Messages
+ * 
+ * @apiDescription Request to get the most recent messages mentioning the user associated 
+ * with the required JWT, across all of their chats, newest first. To keep paging, pass 
+ * nextCursor as before.
+ * 
+ * @apiHeader {String} authorization Valid JSON Web Token JWT
+ * 
+ * @apiQuery {Number} [before] return the mentions in messages prior to this message
+ * @apiQuery {Number} [limit=15] the number of messages to return, at most 50
+ * 
+ * @apiSuccess {Number} rowCount the number of messages returned
+ * @apiSuccess {Object[]} messages the messages mentioning the user
+ * @apiSuccess {Number} messages.chatId the chat the message was posted in
+ * @apiSuccess {String} messages.chatName the name of the chat, or for a direct chat the other user's username
+ * @apiSuccess {Number} messages.messageId the id of the message
+ * @apiSuccess {String} messages.email the email of the user who posted the message
+ * @apiSuccess {String} messages.message the message text
+ * @apiSuccess {String} messages.timestamp the UTC ISO-8601 timestamp of when the message was posted
+ * @apiSuccess {Number} nextCursor the id to pass as before to get older mentions, null if there are none
+ * 
+ * @apiError (400: Invalid Cursor) {String} message "Malformed parameter. before and limit must be numbers from 1 to 2147483647"
+ * 
+ * @apiError (400: SQL Error) {String} message the reported SQL error details
+ * 
+ * @apiUse JSONError
+ */ 
+//registered before /:chatId?/:messageId? so "mentions" is not taken for a chat id
+router.get("/mentions", (request, response, next) => {
+    //validate the paging parameters
+    const { before, limit } = request.query
+    if (![before, limit].filter(value => value !== undefined).every(isPositiveIntProvided)) {
+        response.status(400).send({
+            message: "Malformed parameter. before and limit must be numbers from 1 to 2147483647"
+        })
+    } else {
+        request.page = {
+            before: before || 2**31 - 1,
+            size: Math.min(parseInt(limit) || PAGE_SIZE, MAX_PAGE_SIZE)
+        }
+        next()
+    }
+}, (request, response) => {
+    //only chats the user is still in, fetching one more message than asked for to tell
+    //whether there are more
+    const page = request.page
+    let query = `SELECT Messages.ChatId AS "chatId",
+                 CASE WHEN Chats.DirectKey IS NULL THEN Chats.Name
+                     ELSE COALESCE((SELECT Others.Username FROM ChatMembers AS Direct
+                                    INNER JOIN Members AS Others ON Others.MemberId=Direct.MemberId
+                                    WHERE Direct.ChatId=Chats.ChatId
+                                    AND Direct.MemberId <> $1
+                                    LIMIT 1), Chats.Name) END AS "chatName",
+                 Messages.PrimaryKey AS "messageId", Members.Email AS "email",
+                 Messages.Message AS "message", Messages.TimeStamp AS "timestamp"
+                 FROM Mentions
+                 INNER JOIN Messages ON Messages.PrimaryKey=Mentions.MessageId
+                 INNER JOIN Chats ON Chats.ChatId=Messages.ChatId
+                 INNER JOIN ChatMembers ON ChatMembers.ChatId=Messages.ChatId
+                 AND ChatMembers.MemberId=Mentions.MemberId
+                 INNER JOIN Members ON Members.MemberId=Messages.MemberId
+                 WHERE Mentions.MemberId=$1 AND Messages.PrimaryKey < $2 AND NOT Messages.Deleted
+                 ORDER BY Messages.PrimaryKey DESC
+                 LIMIT $3`
+    let values = [request.decoded.memberid, page.before, page.size + 1]
+
+    pool.query(query, values)
+        .then(result => {
+            const messages = result.rows.slice(0, page.size)
+            response.send({
+                rowCount: messages.length,
+                messages: messages,
+                nextCursor: result.rowCount > page.size ? messages[messages.length - 1].messageId : null
+            })
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: err
+            })
+        })
+})
+
 /**
  * @api {get} /messages/:chatId?/:messageId? Request to get chat messages 
  * @apiName GetMessages
  * @apiGroup Messages
  * 
- * @apiDescription Request to get the 10 most recent chat messages
- * from the server in a given chat - chatId. If an optional messageId is provided,
- * return the 10 messages in the chat prior to (and not including) the message containing
- * MessageID.
+ * @apiDescription Request to get the 15 most recent chat messages
+ * from the server in a given chat - chatId. If an optional messageId (or before) is provided,
+ * return the messages in the chat prior to (and not including) the message containing
+ * MessageID. With after, return the messages following it instead, and with around, the 
+ * messages on both sides of it, including it. Messages are always listed newest first.
+ * 
+ * To keep paging, pass nextCursor as before to get older messages, or previousCursor as 
+ * after to get newer ones.
  * 
  * @apiParam {Number} chatId the chat to look up. 
- * @apiParam {Number} messageId (Optional) return the 15 messages prior to this message
+ * @apiParam {Number} messageId (Optional) return the messages prior to this message
+ * @apiQuery {Number} [before] return the messages prior to this message
+ * @apiQuery {Number} [after] return the messages following this message
+ * @apiQuery {Number} [around] return the messages surrounding, and including, this message
+ * @apiQuery {Number} [limit=15] the number of messages to return, at most 50
  * 
  * @apiSuccess {Number} rowCount the number of messages returned
+ * @apiSuccess {boolean} hasMore true if there are more messages in the direction paged. 
+ * For around, true if there are more messages on either side
+ * @apiSuccess {Number} nextCursor the id to pass as before to get the older messages, null if there are none
+ * @apiSuccess {Number} previousCursor the id to pass as after to get the newer messages, null if there are none
  * @apiSuccess {Object[]} messages List of massages in the message table
  * @apiSuccess {String} messages.messageId The id for this message
  * @apiSuccess {String} messages.email The email of the user who posted this message
  * @apiSuccess {String} messages.message The message text
- * @apiSuccess {String} messages.timestamp The timestamp of when this message was posted
+ * @apiSuccess {String} messages.timestamp The UTC ISO-8601 timestamp of when this message was posted
+ * @apiSuccess {boolean} messages.deleted true if the message was deleted. Deleted messages 
+ * are kept as placeholders so paging by messageId stays stable; their text is "message deleted"
+ * @apiSuccess {boolean} messages.edited true if the message has been edited since it was posted
+ * @apiSuccess {String} messages.editedAt The timestamp of the latest edit, null if never edited
+ * @apiSuccess {String[]} messages.readBy The emails of the other members who have read this message
+ * @apiSuccess {Object[]} messages.reactions The reactions to this message, most popular first
+ * @apiSuccess {String} messages.reactions.reaction The reaction, usually an emoji
+ * @apiSuccess {Number} messages.reactions.count How many members reacted this way
+ * @apiSuccess {boolean} messages.reactions.reacted true if the user reacted this way
+ * @apiSuccess {Number} messages.replyTo The id of the message this one replies to, null if none
+ * @apiSuccess {String} messages.replyToEmail The email of the author of the message replied to
+ * @apiSuccess {String} messages.replyToExcerpt The start of the text of the message replied to
+ * @apiSuccess {Number} messages.replyCount The number of replies to this message
+ * @apiSuccess {Object[]} messages.attachments The files sent with this message
+ * @apiSuccess {Number} messages.attachments.attachmentId The id of the file
+ * @apiSuccess {String} messages.attachments.name The file name
+ * @apiSuccess {Number} messages.attachments.size The file size in bytes
+ * @apiSuccess {String} messages.attachments.type The file type
+ * @apiSuccess {String} messages.attachments.url The path to download the file from, members only
  * 
  * @apiError (404: ChatId Not Found) {String} message "Chat ID Not Found"
+ * @apiError (403: Not A Member) {String} message "user not in chat"
  * @apiError (400: Invalid Parameter) {String} message "Malformed parameter. chatId must be a number" 
+ * @apiError (400: Invalid Cursor) {String} message "Malformed parameter. messageId, before, after, around 
+ * and limit must be numbers from 1 to 2147483647"
+ * @apiError (400: Conflicting Cursors) {String} message "Malformed parameter. Use only one of before, after and around"
  * @apiError (400: Missing Parameters) {String} message "Missing required information"
  * 
  * @apiError (400: SQL Error) {String} message the reported SQL error details
@@ -177,6 +536,9 @@ router.post("/", (request, response, next) => {
  */ 
 router.get("/:chatId?/:messageId?", (request, response, next) => {
         //validate chatId is not empty or non-number
+        const before = request.query.before !== undefined ? request.query.before : request.params.messageId
+        const { after, around, limit } = request.query
+        const cursors = [before, after, around].filter(cursor => cursor !== undefined)
         if (request.params.chatId === undefined) {
             response.status(400).send({
                 message: "Missing required information"
@@ -185,7 +547,19 @@ router.get("/:chatId?/:messageId?", (request, response, next) => {
             response.status(400).send({
                 message: "Malformed parameter. chatId must be a number"
             })
+        } else if (!cursors.concat(limit !== undefined ? [limit] : []).every(isPositiveIntProvided)) {
+            response.status(400).send({
+                message: "Malformed parameter. messageId, before, after, around and limit must be numbers from 1 to 2147483647"
+            })
+        } else if (cursors.length > 1) {
+            response.status(400).send({
+                message: "Malformed parameter. Use only one of before, after and around"
+            })
         } else {
+            request.page = {
+                before, after, around,
+                size: Math.min(parseInt(limit) || PAGE_SIZE, MAX_PAGE_SIZE)
+            }
             next()
         }
     }, (request, response, next) => {
@@ -208,29 +582,66 @@ router.get("/:chatId?/:messageId?", (request, response, next) => {
                     error: error
                 })
             })
-    }, (request, response) => {
+    }, middleware.checkChatMembership, (request, response, next) => {
         //perform the Select
-
-        if (!request.params.messageId) {
+        const page = request.page
+        let query
+        let values
+        if (page.after) {
+            query = pageQuery('>', 'ASC', '$4')
+            values = [request.params.chatId, page.after, request.decoded.memberid, page.size]
+        } else if (page.around) {
+            //the message itself and the older half of the page, then the newer half
+            query = `(${pageQuery('<=', 'DESC', '$4')}) UNION ALL (${pageQuery('>', 'ASC', '$5')})`
+            values = [request.params.chatId, page.around, request.decoded.memberid,
+                Math.ceil(page.size / 2), Math.floor(page.size / 2)]
+        } else {
             //no messageId provided. Use the largest possible integer value
             //allowed for the messageId in the db table. 
-            request.params.messageId = 2**31 - 1
+            query = pageQuery('<', 'DESC', '$4')
+            values = [request.params.chatId, page.before || 2**31 - 1, request.decoded.memberid, page.size]
         }
 
-        let query = `SELECT Messages.PrimaryKey AS messageId, Members.Email, Messages.Message, 
-                    to_char(Messages.Timestamp AT TIME ZONE 'PDT', 'YYYY-MM-DD HH24:MI:SS.US' ) AS Timestamp
-                    FROM Messages
-                    INNER JOIN Members ON Messages.MemberId=Members.MemberId
-                    WHERE ChatId=$1 AND Messages.PrimaryKey < $2
-                    ORDER BY Timestamp DESC
-                    LIMIT 15`
-        let values = [request.params.chatId, request.params.messageId]
         pool.query(query, values)
             .then(result => {
+                request.rows = result.rows.sort((a, b) => b.messageid - a.messageid)
+                next()
+            }).catch(err => {
+                response.status(400).send({
+                    message: "SQL Error",
+                    error: err
+                })
+            })
+    }, (request, response) => {
+        //check whether there are messages beyond either end of the page
+        const rows = request.rows
+        if (rows.length == 0) {
+            response.send({
+                chatId: request.params.chatId,
+                rowCount: 0,
+                rows: rows,
+                hasMore: false,
+                nextCursor: null,
+                previousCursor: null
+            })
+            return
+        }
+        const oldest = rows[rows.length - 1].messageid
+        const newest = rows[0].messageid
+        let query = `SELECT EXISTS (SELECT * FROM Messages WHERE ChatId=$1 AND PrimaryKey < $2) AS older,
+                     EXISTS (SELECT * FROM Messages WHERE ChatId=$1 AND PrimaryKey > $3) AS newer`
+        let values = [request.params.chatId, oldest, newest]
+        pool.query(query, values)
+            .then(result => {
+                const { older, newer } = result.rows[0]
+                const page = request.page
                 response.send({
                     chatId: request.params.chatId,
-                    rowCount : result.rowCount,
-                    rows: result.rows
+                    rowCount : rows.length,
+                    rows: rows,
+                    hasMore: page.after ? newer : page.around ? older || newer : older,
+                    nextCursor: older ? oldest : null,
+                    previousCursor: newer ? newest : null
                 })
             }).catch(err => {
                 response.status(400).send({
@@ -240,4 +651,596 @@ router.get("/:chatId?/:messageId?", (request, response, next) => {
             })
 });
 
+/**
+ * @api {get} /messages/:chatId/:messageId/replies Request to get the replies to a message
+ * @apiName GetMessageReplies
+ * @apiGroup Messages
+ * 
+ * @apiDescription Request to get the thread started by a message: the message itself and 
+ * the messages replying to it, oldest first. To keep paging, pass nextCursor as after.
+ * 
+ * @apiHeader {String} authorization Valid JSON Web Token JWT
+ * 
+ * @apiParam {Number} chatId the chat the message belongs to
+ * @apiParam {Number} messageId the message to get the replies to
+ * @apiQuery {Number} [after] return the replies following this message
+ * @apiQuery {Number} [limit=15] the number of replies to return, at most 50
+ * 
+ * @apiSuccess {Object} parent The message replied to, in the same form as the messages of GET /messages
+ * @apiSuccess {Number} rowCount the number of replies returned
+ * @apiSuccess {Object[]} rows the replies, in the same form as the messages of GET /messages
+ * @apiSuccess {boolean} hasMore true if there are more replies after these
+ * @apiSuccess {Number} nextCursor the id to pass as after to get the next replies, null if there are none
+ * 
+ * @apiError (400: Invalid Parameter) {String} message "Malformed parameter. chatId and messageId must be numbers"
+ * @apiError (400: Invalid Cursor) {String} message "Malformed parameter. after and limit must be numbers from 1 to 2147483647"
+ * @apiError (404: ChatId Not Found) {String} message "Chat ID not found"
+ * @apiError (403: Not A Member) {String} message "user not in chat"
+ * @apiError (404: Message Not Found) {String} message "Message ID not found"
+ * 
+ * @apiError (400: SQL Error) {String} message the reported SQL error details
+ * 
+ * @apiUse JSONError
+ */ 
+router.get("/:chatId/:messageId/replies", (request, response, next) => {
+    //validate parameters
+    const { after, limit } = request.query
+    if (isNaN(request.params.chatId) || isNaN(request.params.messageId)) {
+        response.status(400).send({
+            message: "Malformed parameter. chatId and messageId must be numbers"
+        })
+    } else if (![after, limit].filter(value => value !== undefined).every(isPositiveIntProvided)) {
+        response.status(400).send({
+            message: "Malformed parameter. after and limit must be numbers from 1 to 2147483647"
+        })
+    } else {
+        request.page = {
+            after: after || 0,
+            size: Math.min(parseInt(limit) || PAGE_SIZE, MAX_PAGE_SIZE)
+        }
+        next()
+    }
+}, (request, response, next) => {
+    //validate chat id exists
+    let query = 'SELECT * FROM CHATS WHERE ChatId=$1'
+    let values = [request.params.chatId]
+
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                response.status(404).send({
+                    message: "Chat ID not found"
+                })
+            } else {
+                next()
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error on chatid check",
+                error: error
+            })
+        })
+}, middleware.checkChatMembership, (request, response, next) => {
+    //look up the message starting the thread
+    let query = pageQuery('=', 'ASC', '1')
+    let values = [request.params.chatId, request.params.messageId, request.decoded.memberid]
+
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                response.status(404).send({
+                    message: "Message ID not found"
+                })
+            } else {
+                request.parent = result.rows[0]
+                next()
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error on message check",
+                error: error
+            })
+        })
+}, (request, response) => {
+    //fetch one more reply than asked for to tell whether there are more
+    const page = request.page
+    let query = pageQuery('>', 'ASC', '$4', 'AND Messages.ReplyTo=$5')
+    let values = [request.params.chatId, page.after, request.decoded.memberid, page.size + 1,
+        request.params.messageId]
+
+    pool.query(query, values)
+        .then(result => {
+            const rows = result.rows.slice(0, page.size)
+            const hasMore = result.rowCount > page.size
+            response.send({
+                chatId: request.params.chatId,
+                parent: request.parent,
+                rowCount: rows.length,
+                rows: rows,
+                hasMore: hasMore,
+                nextCursor: hasMore ? rows[rows.length - 1].messageid : null
+            })
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: err
+            })
+        })
+})
+
+/**
+ * @api {put} /messages/:chatId/:messageId Request to edit a message
+ * @apiName PutMessages
+ * @apiGroup Messages
+ * 
+ * @apiDescription Replaces the text of a message posted by the user associated with 
+ * the required JWT. The previous text is kept in the message's edit history and the 
+ * other members of the chat are notified with an "edit" event.
+ * 
+ * @apiHeader {String} authorization Valid JSON Web Token JWT
+ * 
+ * @apiParam {Number} chatId the id of the chat the message belongs to
+ * @apiParam {Number} messageId the id of the message to edit
+ * @apiBody {String} message the new message text
+ * 
+ * @apiSuccess {boolean} success true when the message is updated
+ * @apiSuccess {Object} message the edited message
+ * 
+ * @apiError (400: Missing Parameters) {String} message "Missing required information"
+ * @apiError (400: Invalid Parameter) {String} message "Malformed parameter. chatId and messageId must be numbers"
+ * @apiError (404: ChatId Not Found) {String} message "Chat ID not found"
+ * @apiError (403: Not A Member) {String} message "user not in chat"
+ * @apiError (404: Message Not Found) {String} message "Message ID not found"
+ * @apiError (403: Not The Author) {String} message "only the author may edit a message"
+ * 
+ * @apiError (400: SQL Error) {String} message the reported SQL error details
+ * 
+ * @apiUse JSONError
+ */ 
+router.put("/:chatId/:messageId", (request, response, next) => {
+    //validate on empty parameters
+    if (typeof request.body.message !== 'string' || !isStringProvided(request.body.message)) {
+        response.status(400).send({
+            message: "Missing required information"
+        })
+    } else if (isNaN(request.params.chatId) || isNaN(request.params.messageId)) {
+        response.status(400).send({
+            message: "Malformed parameter. chatId and messageId must be numbers"
+        })
+    } else {
+        next()
+    }
+}, (request, response, next) => {
+    //validate chat id exists
+    let query = 'SELECT * FROM CHATS WHERE ChatId=$1'
+    let values = [request.params.chatId]
+
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                response.status(404).send({
+                    message: "Chat ID not found"
+                })
+            } else {
+                next()
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error on chatid check",
+                error: error
+            })
+        })
+}, middleware.checkChatMembership, (request, response, next) => {
+    //validate the message exists in this chat and belongs to the caller
+    let query = 'SELECT MemberId FROM Messages WHERE PrimaryKey=$1 AND ChatId=$2 AND NOT Deleted'
+    let values = [request.params.messageId, request.params.chatId]
+
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                response.status(404).send({
+                    message: "Message ID not found"
+                })
+            } else if (result.rows[0].memberid != request.decoded.memberid) {
+                response.status(403).send({
+                    message: "only the author may edit a message"
+                })
+            } else {
+                next()
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error on message check",
+                error: error
+            })
+        })
+}, (request, response, next) => {
+    //archive the current text in the edit history and replace it in a single statement
+    let update = `WITH Previous AS (
+                      INSERT INTO MessageEdits(MessageId, Message)
+                      SELECT PrimaryKey, Message FROM Messages WHERE PrimaryKey=$1
+                      RETURNING EditedAt
+                  )
+                  UPDATE Messages SET Message=$2
+                  FROM Previous
+                  WHERE PrimaryKey=$1
+                  RETURNING PrimaryKey AS MessageId, ChatId, Message, TimeStamp,
+                  ReplyTo AS "replyTo", Previous.EditedAt AS "editedAt"`
+    let values = [request.params.messageId, request.body.message]
+    pool.query(update, values)
+        .then(result => {
+            response.message = result.rows[0]
+            response.message.email = request.decoded.email
+            response.message.edited = true
+            next()
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error on update",
+                error: err
+            })
+        })
+}, (request, response) => {
+    // let the other members of the chat know about the edit
+    let query = `SELECT ChatMembers.memberid, token FROM ChatMembers
+                    LEFT JOIN Push_Token ON
+                    Push_Token.memberid=ChatMembers.memberid
+                    WHERE ChatMembers.chatId=$1 AND ChatMembers.memberid<>$2`
+    let values = [request.params.chatId, request.decoded.memberid]
+    pool.query(query, values)
+        .then(result => {
+            result.rows.filter(entry => entry.token).forEach(entry =>
+                msg_functions.sendMessageEdit(entry.token, response.message))
+            new Set(result.rows.map(entry => entry.memberid)).forEach(memberid =>
+                live.sendMessageEdit(memberid, response.message))
+            response.send({
+                success: true,
+                message: response.message
+            })
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error on select from push token",
+                error: err
+            })
+        })
+})
+
+/**
+ * @api {delete} /messages/:chatId/:messageId Request to delete a message
+ * @apiName DeleteMessages
+ * @apiGroup Messages
+ * 
+ * @apiDescription Deletes a message. The author may delete their own messages and the 
+ * owner of the chat may remove any message. The message is replaced with a "message deleted" 
+ * placeholder so paging by messageId stays stable, its edit history, reactions, attachments 
+ * and pin are discarded and the other members of the chat are notified with a "delete" event.
+ * 
+ * @apiHeader {String} authorization Valid JSON Web Token JWT
+ * 
+ * @apiParam {Number} chatId the id of the chat the message belongs to
+ * @apiParam {Number} messageId the id of the message to delete
+ * 
+ * @apiSuccess {boolean} success true when the message is deleted
+ * 
+ * @apiError (400: Invalid Parameter) {String} message "Malformed parameter. chatId and messageId must be numbers"
+ * @apiError (404: ChatId Not Found) {String} message "Chat ID not found"
+ * @apiError (403: Not A Member) {String} message "user not in chat"
+ * @apiError (404: Message Not Found) {String} message "Message ID not found"
+ * @apiError (403: Not Permitted) {String} message "only the author or the chat owner may delete a message"
+ * 
+ * @apiError (400: SQL Error) {String} message the reported SQL error details
+ * 
+ * @apiUse JSONError
+ */ 
+router.delete("/:chatId/:messageId", (request, response, next) => {
+    //validate parameter types
+    if (isNaN(request.params.chatId) || isNaN(request.params.messageId)) {
+        response.status(400).send({
+            message: "Malformed parameter. chatId and messageId must be numbers"
+        })
+    } else {
+        next()
+    }
+}, (request, response, next) => {
+    //validate chat id exists
+    let query = 'SELECT * FROM CHATS WHERE ChatId=$1'
+    let values = [request.params.chatId]
+
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                response.status(404).send({
+                    message: "Chat ID not found"
+                })
+            } else {
+                next()
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error on chatid check",
+                error: error
+            })
+        })
+}, middleware.checkChatMembership, (request, response, next) => {
+    //validate the message exists in this chat and the caller may remove it
+    let query = 'SELECT MemberId FROM Messages WHERE PrimaryKey=$1 AND ChatId=$2 AND NOT Deleted'
+    let values = [request.params.messageId, request.params.chatId]
+
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                response.status(404).send({
+                    message: "Message ID not found"
+                })
+            } else if (result.rows[0].memberid != request.decoded.memberid
+                    && request.role !== 'owner') {
+                response.status(403).send({
+                    message: "only the author or the chat owner may delete a message"
+                })
+            } else {
+                next()
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error on message check",
+                error: error
+            })
+        })
+}, (request, response, next) => {
+    //blank the message, leaving a placeholder row, and drop its edit history, reactions,
+    //attachments and pin
+    let update = `WITH History AS (
+                      DELETE FROM MessageEdits WHERE MessageId=$1
+                  ), Reactions AS (
+                      DELETE FROM MessageReactions WHERE MessageId=$1
+                  ), Mentioned AS (
+                      DELETE FROM Mentions WHERE MessageId=$1
+                  ), Pinned AS (
+                      DELETE FROM Pins WHERE MessageId=$1
+                  ), Files AS (
+                      DELETE FROM Attachments WHERE MessageId=$1
+                      RETURNING StorageKey
+                  )
+                  UPDATE Messages SET Message='', Deleted=TRUE, DeletedBy=$2
+                  WHERE PrimaryKey=$1
+                  RETURNING ARRAY(SELECT StorageKey FROM Files) AS "storageKeys"`
+    let values = [request.params.messageId, request.decoded.memberid]
+    pool.query(update, values)
+        .then(result => {
+            //the rows are gone, so a file that fails to delete is only wasted space
+            result.rows[0].storageKeys.forEach(key =>
+                storage.remove(key).catch(err => console.log('Storage Error', err)))
+            next()
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error on delete",
+                error: err
+            })
+        })
+}, (request, response) => {
+    // tell the other members of the chat to hide the message
+    let query = `SELECT ChatMembers.memberid, token FROM ChatMembers
+                    LEFT JOIN Push_Token ON
+                    Push_Token.memberid=ChatMembers.memberid
+                    WHERE ChatMembers.chatId=$1 AND ChatMembers.memberid<>$2`
+    let values = [request.params.chatId, request.decoded.memberid]
+    pool.query(query, values)
+        .then(result => {
+            result.rows.filter(entry => entry.token).forEach(entry =>
+                msg_functions.sendMessageDelete(entry.token, request.params.chatId, request.params.messageId))
+            new Set(result.rows.map(entry => entry.memberid)).forEach(memberid =>
+                live.sendMessageDelete(memberid, request.params.chatId, request.params.messageId))
+            response.send({
+                success: true
+            })
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error on select from push token",
+                error: err
+            })
+        })
+})
+
+/**
+ * Validates the chat and message ids and the reaction of a reaction request,
+ * then checks the chat exists, the user belongs to it and the message is in it.
+ */
+const reactionChecks = [(request, response, next) => {
+    //validate parameters
+    const reaction = request.body.reaction
+    if (isNaN(request.params.chatId) || isNaN(request.params.messageId)) {
+        response.status(400).send({
+            message: "Malformed parameter. chatId and messageId must be numbers"
+        })
+    } else if (typeof reaction !== 'string' || !isStringProvided(reaction)) {
+        response.status(400).send({
+            message: "Missing required information"
+        })
+    } else if (reaction.length > MAX_REACTION_LENGTH) {
+        response.status(400).send({
+            message: "Malformed parameter. reaction is too long"
+        })
+    } else {
+        next()
+    }
+}, (request, response, next) => {
+    //validate chat id exists
+    let query = 'SELECT * FROM CHATS WHERE ChatId=$1'
+    let values = [request.params.chatId]
+
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                response.status(404).send({
+                    message: "Chat ID not found"
+                })
+            } else {
+                next()
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error on chatid check",
+                error: error
+            })
+        })
+}, middleware.checkChatMembership, (request, response, next) => {
+    //validate the message exists in this chat
+    let query = 'SELECT * FROM Messages WHERE PrimaryKey=$1 AND ChatId=$2 AND NOT Deleted'
+    let values = [request.params.messageId, request.params.chatId]
+
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                response.status(404).send({
+                    message: "Message ID not found"
+                })
+            } else {
+                next()
+            }
+        }).catch(error => {
+            response.status(400).send({
+                message: "SQL Error on message check",
+                error: error
+            })
+        })
+}]
+
+/**
+ * Sends a "reaction" event for the reaction in the request to the other members of the chat.
+ * @param {String} action "add" or "remove"
+ * @returns {Function} the final middleware function of a reaction request
+ */
+function notifyReaction(action) {
+    return (request, response) => {
+        const reaction = {
+            chatid: request.params.chatId,
+            messageid: request.params.messageId,
+            email: request.decoded.email,
+            reaction: request.body.reaction,
+            action
+        }
+        let query = `SELECT ChatMembers.memberid, token FROM ChatMembers
+                        LEFT JOIN Push_Token ON
+                        Push_Token.memberid=ChatMembers.memberid
+                        WHERE ChatMembers.chatId=$1 AND ChatMembers.memberid<>$2`
+        let values = [request.params.chatId, request.decoded.memberid]
+        pool.query(query, values)
+            .then(result => {
+                result.rows.filter(entry => entry.token).forEach(entry =>
+                    msg_functions.sendReaction(entry.token, reaction))
+                new Set(result.rows.map(entry => entry.memberid)).forEach(memberid =>
+                    live.sendReaction(memberid, reaction))
+                response.send({
+                    success: true
+                })
+            }).catch(err => {
+                response.status(400).send({
+                    message: "SQL Error on select from push token",
+                    error: err
+                })
+            })
+    }
+}
+
+/**
+ * @api {post} /messages/:chatId/:messageId/reactions Request to react to a message
+ * @apiName PostMessageReactions
+ * @apiGroup Messages
+ * 
+ * @apiDescription Adds a reaction from the user associated with the required JWT to the 
+ * message. The other members of the chat are sent a "reaction" event. Reacting the same way 
+ * twice has no further effect.
+ * 
+ * @apiHeader {String} authorization Valid JSON Web Token JWT
+ * 
+ * @apiParam {Number} chatId the id of the chat the message belongs to
+ * @apiParam {Number} messageId the id of the message to react to
+ * @apiBody {String} reaction the reaction, usually an emoji
+ * 
+ * @apiSuccess {boolean} success true when the reaction is stored
+ * 
+ * @apiError (400: Missing Parameters) {String} message "Missing required information"
+ * @apiError (400: Invalid Parameter) {String} message "Malformed parameter. chatId and messageId must be numbers"
+ * @apiError (400: Invalid Reaction) {String} message "Malformed parameter. reaction is too long"
+ * @apiError (404: ChatId Not Found) {String} message "Chat ID not found"
+ * @apiError (403: Not A Member) {String} message "user not in chat"
+ * @apiError (404: Message Not Found) {String} message "Message ID not found"
+ * 
+ * @apiError (400: SQL Error) {String} message the reported SQL error details
+ * 
+ * @apiUse JSONError
+ */ 
+router.post("/:chatId/:messageId/reactions", reactionChecks, (request, response, next) => {
+    //store the reaction
+    let insert = `INSERT INTO MessageReactions(MessageId, MemberId, Reaction)
+                  VALUES ($1, $2, $3)
+                  ON CONFLICT DO NOTHING`
+    let values = [request.params.messageId, request.decoded.memberid, request.body.reaction]
+    pool.query(insert, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                //already reacted this way, nothing to tell anyone
+                response.send({
+                    success: true
+                })
+            } else {
+                next()
+            }
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error on insert",
+                error: err
+            })
+        })
+}, notifyReaction("add"))
+
+/**
+ * @api {delete} /messages/:chatId/:messageId/reactions Request to remove a reaction
+ * @apiName DeleteMessageReactions
+ * @apiGroup Messages
+ * 
+ * @apiDescription Removes a reaction of the user associated with the required JWT from the 
+ * message. The other members of the chat are sent a "reaction" event.
+ * 
+ * @apiHeader {String} authorization Valid JSON Web Token JWT
+ * 
+ * @apiParam {Number} chatId the id of the chat the message belongs to
+ * @apiParam {Number} messageId the id of the message reacted to
+ * @apiBody {String} reaction the reaction to remove
+ * 
+ * @apiSuccess {boolean} success true when the reaction is removed
+ * 
+ * @apiError (400: Missing Parameters) {String} message "Missing required information"
+ * @apiError (400: Invalid Parameter) {String} message "Malformed parameter. chatId and messageId must be numbers"
+ * @apiError (400: Invalid Reaction) {String} message "Malformed parameter. reaction is too long"
+ * @apiError (404: ChatId Not Found) {String} message "Chat ID not found"
+ * @apiError (403: Not A Member) {String} message "user not in chat"
+ * @apiError (404: Message Not Found) {String} message "Message ID not found"
+ * @apiError (404: Reaction Not Found) {String} message "Reaction not found"
+ * 
+ * @apiError (400: SQL Error) {String} message the reported SQL error details
+ * 
+ * @apiUse JSONError
+ */ 
+router.delete("/:chatId/:messageId/reactions", reactionChecks, (request, response, next) => {
+    //remove the reaction
+    let query = `DELETE FROM MessageReactions
+                 WHERE MessageId=$1 AND MemberId=$2 AND Reaction=$3`
+    let values = [request.params.messageId, request.decoded.memberid, request.body.reaction]
+    pool.query(query, values)
+        .then(result => {
+            if (result.rowCount == 0) {
+                response.status(404).send({
+                    message: "Reaction not found"
+                })
+            } else {
+                next()
+            }
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error on delete",
+                error: err
+            })
+        })
+}, notifyReaction("remove"))
+
 module.exports = router
\ No newline at end of file
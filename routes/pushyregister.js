@@ -8,18 +8,32 @@ const router = express.Router()
 
 const middleware = require('../middleware')
 
+/**
+ * The platforms a device may report when registering its Pushy Token.
+ */
+const PLATFORMS = ['android', 'ios', 'web']
+
 /**
  * @api {put} /auth Request to insert a Pushy Token for the user
  * @apiName PutAuth
  * @apiGroup Auth
  * 
+ * @apiDescription Registers the Pushy Token of one of the user's devices. A user may have 
+ * any number of devices; registering again from the same device replaces its token and 
+ * records that the device was seen. The token is deleted when the session of the JWT is 
+ * revoked, e.g. by POST /auth/logout.
+ * 
  * @apiHeader {String} authorization Valid JSON Web Token JWT
  * @apiParam {String} token the Pushy Token of the user identified in the JWT
+ * @apiParam {String} [deviceId] an id for the device, stable across logins. Defaults to the token
+ * @apiParam {String} [platform] the kind of device: android, ios or web
  * 
  * @apiSuccess {boolean} success true when the pushy token is inserted
  * 
  * @apiError (400: Missing Parameters) {String} message "Missing required information"
  * 
+ * @apiError (400: Invalid Platform) {String} message "Malformed parameter. platform must be android, ios or web"
+ * 
  * @apiError (404: User Not Found) {String} message "user not found"
  * 
  * @apiError (400: JSON Error) {String} message "malformed JSON in parameters"
@@ -33,6 +47,10 @@ router.put('/', middleware.checkToken, (request, response, next) => {
         response.status(400).send({
             message: "Missing required information"
         })
+    } else if (request.body.platform !== undefined && !PLATFORMS.includes(request.body.platform)) {
+        response.status(400).send({
+            message: "Malformed parameter. platform must be android, ios or web"
+        })
     }  else {
         next()
     }
@@ -68,12 +86,22 @@ router.put('/', middleware.checkToken, (request, response, next) => {
 }, (request, response) => {
     //ON CONFLICT is a Postgressql syntax. it allows for an extra
     //action when conflicts occur with inserts. This will update 
-    //an existing users token. 
-    let insert = `INSERT INTO Push_Token(MemberId, Token)
-                  VALUES ($1, $2)
-                  ON CONFLICT (MemberId) DO UPDATE SET token=$2
+    //the token of a device the user already registered. A token 
+    //left on another device or account (a shared device changing 
+    //hands) is removed so it is not notified twice.
+    let insert = `WITH Moved AS (
+                      DELETE FROM Push_Token
+                      WHERE Token=$2 AND NOT (MemberId=$1 AND DeviceId=$3)
+                  )
+                  INSERT INTO Push_Token(MemberId, Token, DeviceId, Platform, SessionId, LastSeen)
+                  VALUES ($1, $2, $3, $4, $5, NOW() AT TIME ZONE 'UTC')
+                  ON CONFLICT (MemberId, DeviceId) DO UPDATE
+                  SET Token=$2, Platform=COALESCE($4, Push_Token.Platform), SessionId=$5,
+                  LastSeen=NOW() AT TIME ZONE 'UTC'
                   RETURNING *`
-    let values = [request.decoded.memberid, request.body.token]
+    let values = [request.decoded.memberid, request.body.token,
+        request.body.deviceId || request.body.token, request.body.platform || null,
+        request.decoded.sessionid]
     pool.query(insert, values)
         .then(result => {
             response.send({
@@ -92,12 +120,16 @@ router.put('/', middleware.checkToken, (request, response, next) => {
  * @apiName DeleteAuth
  * @apiGroup Auth
  * 
+ * @apiDescription Deletes the Pushy Token of the calling device, so it is no longer notified 
+ * once the user logs out. The user's other devices keep theirs. When no device is named, 
+ * the token registered with the session of the JWT is deleted.
+ * 
  * @apiHeader {String} authorization Valid JSON Web Token JWT
+ * @apiParam {String} [deviceId] the id the device registered with
+ * @apiParam {String} [token] the Pushy Token of the device, if it registered without a deviceId
  * 
  * @apiSuccess {boolean} success true when the pushy token is deleted
  * 
- * @apiError (400: Missing Parameters) {String} message "Missing required information"
- * 
  * @apiError (404: User Not Found) {String} message "user not found"
  * 
  * @apiError (400: JSON Error) {String} message "malformed JSON in parameters"
@@ -134,11 +166,15 @@ router.delete('/', middleware.checkToken, (request, response, next) => {
             })
         })
 }, (request, response) => {
-    //delete the users pushy token
+    //delete the pushy token of the calling device, named in the body or the query,
+    //or the one registered with this session when none is named
+    const deviceId = request.body.deviceId || request.query.deviceId
+        || request.body.token || request.query.token || null
     let insert = `DELETE FROM Push_Token
                   WHERE MemberId=$1
+                  AND CASE WHEN $2::text IS NULL THEN SessionId=$3 ELSE DeviceId=$2 OR Token=$2 END
                   RETURNING *`
-    let values = [request.decoded.memberid]
+    let values = [request.decoded.memberid, deviceId, request.decoded.sessionid]
     pool.query(insert, values)
         .then(result => {
             response.send({
@@ -12,10 +12,12 @@ const nodemailer = require('nodemailer');
 const validation = require("../utilities").validation;
 const isStringProvided = validation.isStringProvided;
 
-const { generatePassword, generateHash, generateSalt } = require("../utilities");
+const { generatePassword, generateHash, generateSalt, hashPassword } = require("../utilities");
 
 const registerUtils = require("../utilities").registerUtils;
 
+const sessions = require("../utilities").sessions;
+
 const router = express.Router();
 
 /**
@@ -121,12 +123,10 @@ router.post(
     // Insert user into database
     (request, response) => {
         const salt = generateSalt(32);
-        const salted_hash = generateHash(request.body.password, salt);
 
         const theQuery = "INSERT INTO CREDENTIALS(MemberId, SaltedHash, Salt) VALUES ($1, $2, $3)";
-        const values = [request.memberid, salted_hash, salt];
-        pool
-            .query(theQuery, values)
+        hashPassword(request.body.password, salt)
+            .then((salted_hash) => pool.query(theQuery, [request.memberid, salted_hash, salt]))
             .then((result) => { // User successfully added
                 response.status(201).send({
                     success: true,
@@ -200,9 +200,10 @@ router.put('/reset', (request, response, next) => {
     request.body.password = generatePassword();
     let theQuery = "UPDATE Credentials SET SaltedHash=$1, Salt=$2 WHERE MemberId=$3";
     const salt = generateSalt(32);
-    const salted_hash = generateHash(request.body.password, salt);
-    let values = [salted_hash, salt, request.memberid];
-    pool.query(theQuery, values)
+    hashPassword(request.body.password, salt)
+        .then((salted_hash) => pool.query(theQuery, [salted_hash, salt, request.memberid]))
+        // log out everywhere, whoever knew the old password included
+        .then(() => sessions.revokeAllSessions(request.memberid))
         .then((result) => {
             next();
         })
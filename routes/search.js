@@ -6,11 +6,116 @@ const router = express.Router();
 
 const validation = require('../utilities').validation;
 let isStringProvided = validation.isStringProvided;
+let isPositiveIntProvided = validation.isPositiveIntProvided;
+
+/**
+ * Default and maximum number of message search results per page.
+ */
+const MESSAGE_PAGE_SIZE = 20;
+const MAX_MESSAGE_PAGE_SIZE = 50;
+
+/**
+ * The message text with HTML special characters escaped, so the <b></b> around
+ * matching words are the only markup in a snippet.
+ */
+const ESCAPED_MESSAGE = `replace(replace(replace(replace(replace(Messages.Message,
+                            '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;'), '''', '&#39;')`;
 
 /**
  * @apiDefine JSONError
  * @apiError (400: JSON Error) {String} message "malformed JSON in parameters"
  */ 
+/**
+ * @api {get} /search/messages?q= Request messages matching query
+ * @apiName GetMessageSearch
+ * @apiGroup Search
+ * 
+ * @apiDescription Full-text search over the messages in every chat the user associated 
+ * with the JWT belongs to, newest first. Results are paged: pass the nextCursor of one 
+ * page as the cursor of the next request to continue.
+ * 
+ * @apiHeader {String} authorization Valid JSON Web Token JWT
+ * 
+ * @apiQuery {String} q the search query. Supports quoted phrases, "or" and -excluded words
+ * @apiQuery {Number} [cursor] only return messages older than this message id
+ * @apiQuery {Number} [limit=20] the number of results to return, at most 50
+ * 
+ * @apiSuccess {Number} rowCount the number of messages returned
+ * @apiSuccess {Object[]} messages list of matching messages
+ * @apiSuccess {Number} messages.chatId id of the chat the message was posted in
+ * @apiSuccess {Number} messages.messageId id of the message
+ * @apiSuccess {String} messages.email email of the author
+ * @apiSuccess {String} messages.username username of the author
+ * @apiSuccess {String} messages.timestamp when the message was posted
+ * @apiSuccess {String} messages.snippet HTML excerpt of the message with matching words wrapped in <b></b>.
+ * The message text in it is HTML-escaped
+ * @apiSuccess {Number} nextCursor the cursor for the next page, null when there are no more results
+ * 
+ * @apiError (400: Missing Parameter) {String} message "Missing required information"
+ * @apiError (400: Invalid Parameter) {String} message "Malformed parameter. cursor and limit must be numbers from 1 to 2147483647"
+ * 
+ * @apiError (400: SQL Error) {String} message the reported SQL error details
+ * 
+ * @apiUse JSONError
+ */ 
+router.get("/messages", (request, response, next) => {
+    //validate non-missing or invalid (type) parameters
+    const { q, cursor, limit } = request.query
+    if (!isStringProvided(q) || typeof q !== 'string') {
+        response.status(400).send({
+            message: "Missing required information"
+        })
+    } else if (![cursor, limit].filter(value => value !== undefined).every(isPositiveIntProvided)) {
+        response.status(400).send({
+            message: "Malformed parameter. cursor and limit must be numbers from 1 to 2147483647"
+        })
+    } else {
+        request.pageSize = Math.min(parseInt(limit) || MESSAGE_PAGE_SIZE, MAX_MESSAGE_PAGE_SIZE)
+        next()
+    }
+}, (request, response) => {
+    // one extra row is fetched to tell whether another page follows
+    const query =   `
+                        SELECT Messages.ChatId AS "chatId", Messages.PrimaryKey AS "messageId",
+                        Members.Email AS "email", Members.Username AS "username",
+                        Messages.Timestamp AS "timestamp",
+                        ts_headline('english', ${ESCAPED_MESSAGE}, Search.Query,
+                            'StartSel=<b>, StopSel=</b>, MaxWords=20, MinWords=5') AS "snippet"
+                        FROM Messages
+                        INNER JOIN ChatMembers
+                        ON ChatMembers.ChatId = Messages.ChatId AND ChatMembers.MemberId = $2
+                        INNER JOIN Members ON Messages.MemberId = Members.MemberId,
+                        websearch_to_tsquery('english', $1) AS Search(Query)
+                        WHERE to_tsvector('english', Messages.Message) @@ Search.Query
+                        AND NOT Messages.Deleted
+                        AND Messages.PrimaryKey < $3
+                        ORDER BY Messages.PrimaryKey DESC
+                        LIMIT $4
+                    `
+    const values = [
+        request.query.q,
+        request.decoded.memberid,
+        request.query.cursor || 2**31 - 1,
+        request.pageSize + 1,
+    ]
+    pool.query(query, values)
+        .then(result => {
+            const list = result.rows.slice(0, request.pageSize);
+            response.status(200).send({
+                rowCount : list.length,
+                messages: list,
+                nextCursor: result.rowCount > request.pageSize
+                    ? list[list.length - 1].messageId
+                    : null
+            })
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: err
+            })
+        })
+});
+
 /**
  * @api {get} /search/:query? Request users matching query
  * @apiName GetUsers
@@ -0,0 +1,182 @@
+//express is the framework we're going to use to handle requests
+const express = require('express')
+
+//Access the connection to Heroku Database
+const pool = require('../utilities/exports').pool
+
+const sessions = require('../utilities/exports').sessions
+
+const router = express.Router()
+
+const middleware = require('../middleware')
+
+const validation = require('../utilities').validation
+let isStringProvided = validation.isStringProvided
+
+/**
+ * @api {post} /auth/refresh Request a new token for a session
+ * @apiName PostAuthRefresh
+ * @apiGroup Auth
+ *
+ * @apiDescription Trades a refresh token for a new token and a new refresh token. Each
+ * refresh token works once: presenting one a second time revokes the whole session.
+ *
+ * @apiBody {String} refreshToken the refresh token from logging in or the last refresh
+ *
+ * @apiSuccess {boolean} success true when the session is refreshed
+ * @apiSuccess {String} token JSON Web Token
+ * @apiSuccess {Number} expiresIn the number of seconds the token is valid for
+ * @apiSuccess {String} refreshToken the token to pass next time
+ * @apiSuccess {Number} sessionId the id of the session
+ *
+ * @apiError (400: Missing Parameters) {String} message "Missing required information"
+ * @apiError (401: Invalid Refresh Token) {String} message "Refresh token is not valid"
+ *
+ * @apiError (400: SQL Error) {String} message the reported SQL error details
+ */
+router.post('/refresh', (request, response, next) => {
+    //validate on missing parameters
+    if (!isStringProvided(request.body.refreshToken)) {
+        response.status(400).send({
+            message: "Missing required information"
+        })
+    } else {
+        next()
+    }
+}, (request, response) => {
+    sessions.refreshSession(request.body.refreshToken)
+        .then(session => {
+            if (session === null) {
+                response.status(401).send({
+                    message: "Refresh token is not valid"
+                })
+            } else {
+                response.send({
+                    success: true,
+                    ...session
+                })
+            }
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: err
+            })
+        })
+})
+
+/**
+ * @api {post} /auth/logout Request to end the current session
+ * @apiName PostAuthLogout
+ * @apiGroup Auth
+ *
+ * @apiDescription Revokes the session of the token, so neither it nor its refresh token
+ * works any more. The user's other sessions are not affected.
+ *
+ * @apiHeader {String} authorization Valid JSON Web Token JWT
+ *
+ * @apiSuccess {boolean} success true when the session is ended
+ *
+ * @apiError (400: SQL Error) {String} message the reported SQL error details
+ */
+router.post('/logout', middleware.checkToken, (request, response) => {
+    sessions.revokeSession(request.decoded.sessionid, request.decoded.memberid)
+        .then(() => {
+            response.send({
+                success: true
+            })
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: err
+            })
+        })
+})
+
+/**
+ * @api {get} /auth/sessions Request the user's active sessions
+ * @apiName GetAuthSessions
+ * @apiGroup Auth
+ *
+ * @apiDescription Lists the devices the user is logged in on, most recently used first.
+ *
+ * @apiHeader {String} authorization Valid JSON Web Token JWT
+ *
+ * @apiSuccess {Number} rowCount the number of sessions
+ * @apiSuccess {Object[]} sessions the active sessions
+ * @apiSuccess {Number} sessions.sessionId the id of the session
+ * @apiSuccess {String} sessions.device the name of the device
+ * @apiSuccess {String} sessions.createdAt when the session started
+ * @apiSuccess {String} sessions.lastUsed when the session was last refreshed
+ * @apiSuccess {boolean} sessions.current true for the session of the token used for this request
+ *
+ * @apiError (400: SQL Error) {String} message the reported SQL error details
+ */
+router.get('/sessions', middleware.checkToken, (request, response) => {
+    let query = `SELECT SessionId AS "sessionId", Device AS "device", CreatedAt AS "createdAt",
+                 LastUsed AS "lastUsed", SessionId=$2 AS "current"
+                 FROM Sessions
+                 WHERE MemberId=$1 AND RevokedAt IS NULL AND ExpiresAt > NOW() AT TIME ZONE 'UTC'
+                 ORDER BY LastUsed DESC`
+    let values = [request.decoded.memberid, request.decoded.sessionid]
+    pool.query(query, values)
+        .then(result => {
+            response.send({
+                rowCount: result.rowCount,
+                sessions: result.rows
+            })
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: err
+            })
+        })
+})
+
+/**
+ * @api {delete} /auth/sessions/:id Request to end one of the user's sessions
+ * @apiName DeleteAuthSessions
+ * @apiGroup Auth
+ *
+ * @apiDescription Revokes a session, logging that device out.
+ *
+ * @apiHeader {String} authorization Valid JSON Web Token JWT
+ *
+ * @apiParam {Number} id the id of the session
+ *
+ * @apiSuccess {boolean} success true when the session is ended
+ *
+ * @apiError (400: Invalid Parameter) {String} message "Malformed parameter. id must be a number"
+ * @apiError (404: Session Not Found) {String} message "Session not found"
+ *
+ * @apiError (400: SQL Error) {String} message the reported SQL error details
+ */
+router.delete('/sessions/:id', middleware.checkToken, (request, response, next) => {
+    //validate parameter type
+    if (isNaN(request.params.id)) {
+        response.status(400).send({
+            message: "Malformed parameter. id must be a number"
+        })
+    } else {
+        next()
+    }
+}, (request, response) => {
+    sessions.revokeSession(request.params.id, request.decoded.memberid)
+        .then(revoked => {
+            if (revoked) {
+                response.send({
+                    success: true
+                })
+            } else {
+                response.status(404).send({
+                    message: "Session not found"
+                })
+            }
+        }).catch(err => {
+            response.status(400).send({
+                message: "SQL Error",
+                error: err
+            })
+        })
+})
+
+module.exports = router
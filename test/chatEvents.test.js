@@ -0,0 +1,61 @@
+// Members are told, live and through Pushy, when the members or the owner of a chat change.
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const helpers = require('./helpers.js');
+
+const notificationQueue = require('../utilities').notificationQueue;
+const transport = require('../utilities').messaging.transport;
+
+describe('chat events for membership changes', () => {
+    let owner, alice, bob;
+
+    before(() => helpers.start()
+        .then(() => Promise.all(['owner', 'alice', 'bob'].map(helpers.addMember)))
+        .then(members => {
+            [owner, alice, bob] = members;
+            return Promise.all(members.map(member =>
+                helpers.request('PUT', '/auth', {
+                    token: member.token,
+                    body: { token: member.email + '-token', deviceId: 'phone' }
+                })));
+        }));
+
+    after(() => helpers.stop());
+
+    beforeEach(() => transport.clear());
+
+    //makes the request, then lists the chat actions it pushed as "<username> <action>"
+    const actions = (method, url, token, body) => helpers.request(method, url, { token, body })
+        .then(response => {
+            assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+            return notificationQueue.drain();
+        })
+        .then(() => transport.sent
+            .map(push => push.token.split('@')[0] + ' ' + push.data.action)
+            .sort());
+
+    it('tells a removed member and the members left', () => {
+        return helpers.addChat('Removal', [owner, alice, bob])
+            .then(chatId => actions('DELETE', `/chats/${chatId}/${bob.email}`, owner.token))
+            .then(sent => assert.deepStrictEqual(sent, [
+                'alice memberRemoved', 'bob removedFromRoom', 'owner memberRemoved'
+            ]));
+    });
+
+    it('tells the members left when the owner leaves, and who owns the chat now', () => {
+        return helpers.addChat('Leaving', [owner, alice, bob])
+            .then(chatId => actions('DELETE', `/chats/${chatId}`, owner.token))
+            .then(sent => assert.deepStrictEqual(sent, [
+                'alice memberLeft', 'alice ownerChanged', 'bob memberLeft', 'bob ownerChanged'
+            ]));
+    });
+
+    it('tells every member when ownership is handed over', () => {
+        return helpers.addChat('Handover', [owner, alice, bob])
+            .then(chatId => actions('PUT', `/chats/${chatId}/role/${alice.email}`, owner.token, { role: 'owner' }))
+            .then(sent => assert.deepStrictEqual(sent, [
+                'alice ownerChanged', 'bob ownerChanged', 'owner ownerChanged'
+            ]));
+    });
+});
@@ -0,0 +1,76 @@
+// Every chat-scoped route refuses users who are not members of the chat.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const helpers = require('./helpers.js');
+
+describe('chat-scoped routes refuse non-members', () => {
+    let owner, member, outsider, chatId, messageId;
+
+    before(() => helpers.start()
+        .then(() => Promise.all(['owner', 'member', 'outsider'].map(helpers.addMember)))
+        .then(members => {
+            [owner, member, outsider] = members;
+            return helpers.addChat('Team', [owner, member]);
+        })
+        .then(id => {
+            chatId = id;
+            return helpers.db.query(`INSERT INTO Messages(ChatID, Message, MemberID)
+                                     VALUES ($1, 'hello', $2) RETURNING PrimaryKey`, [chatId, owner.memberid]);
+        })
+        .then(result => {
+            messageId = result.rows[0].primarykey;
+        }));
+
+    after(() => helpers.stop());
+
+    //fills in the chat, message and member a route is called with
+    const fill = text => text
+        .replace(':chatId', chatId)
+        .replace(':messageId', messageId)
+        .replace(':email', member.email);
+
+    //each request is one a member could make successfully
+    const routes = [
+        ['DELETE', '/chats/:chatId'],
+        ['PUT', '/chats/:chatId'],
+        ['GET', '/chats/:chatId'],
+        ['PATCH', '/chats/:chatId', { name: 'Renamed' }],
+        ['PUT', '/chats/:chatId/notifications', { level: 'mentions' }],
+        ['PUT', '/chats/:chatId/:email'],
+        ['DELETE', '/chats/:chatId/:email'],
+        ['PUT', '/chats/:chatId/role/:email', { role: 'admin' }],
+        ['PUT', '/chats/:chatId/read/:messageId'],
+        ['POST', '/chats/:chatId/typing'],
+        ['GET', '/chats/:chatId/pins'],
+        ['POST', '/chats/:chatId/pins/:messageId'],
+        ['DELETE', '/chats/:chatId/pins/:messageId'],
+        ['POST', '/messages', { chatId: ':chatId', message: 'hi' }],
+        ['GET', '/messages/:chatId'],
+        ['GET', '/messages/:chatId/:messageId/replies'],
+        ['PUT', '/messages/:chatId/:messageId', { message: 'edited' }],
+        ['DELETE', '/messages/:chatId/:messageId'],
+        ['POST', '/messages/:chatId/:messageId/reactions', { reaction: '👍' }],
+        ['DELETE', '/messages/:chatId/:messageId/reactions', { reaction: '👍' }],
+        ['POST', '/attachments/:chatId?name=notes.txt'],
+        ['GET', '/attachments/:chatId/1'],
+    ];
+
+    routes.forEach(([method, url, body]) => {
+        it(`${method} ${url}`, () => {
+            const options = url.startsWith('/attachments') && method == 'POST'
+                ? { raw: 'some notes', type: 'text/plain' }
+                : { body: body && JSON.parse(fill(JSON.stringify(body))) };
+            return helpers.request(method, fill(url), { token: outsider.token, ...options })
+                .then(response => {
+                    assert.strictEqual(response.status, 403, JSON.stringify(response.body));
+                    assert.deepStrictEqual(response.body, { message: 'user not in chat' });
+                });
+        });
+    });
+
+    it('lets members through', () => {
+        return helpers.request('GET', `/chats/${chatId}`, { token: member.token })
+            .then(response => assert.strictEqual(response.status, 200));
+    });
+});
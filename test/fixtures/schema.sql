@@ -0,0 +1,56 @@
+-- The course database tables the service was built on, before any of the
+-- files in migrations/. The tests create these, then apply every migration.
+CREATE TABLE Members (
+    MemberID SERIAL PRIMARY KEY,
+    FirstName VARCHAR(255) NOT NULL,
+    LastName VARCHAR(255) NOT NULL,
+    Username VARCHAR(255) NOT NULL UNIQUE,
+    Email VARCHAR(255) NOT NULL UNIQUE,
+    Verified BOOLEAN DEFAULT FALSE
+);
+
+CREATE TABLE Credentials (
+    CredentialID SERIAL PRIMARY KEY,
+    MemberID INT NOT NULL,
+    SaltedHash VARCHAR(255) NOT NULL,
+    Salt VARCHAR(255),
+    FOREIGN KEY(MemberID) REFERENCES Members(MemberID)
+);
+
+CREATE TABLE Contacts (
+    ConnectionID SERIAL PRIMARY KEY,
+    MemberID_A INT NOT NULL,
+    MemberID_B INT NOT NULL,
+    Verified BOOLEAN DEFAULT FALSE,
+    FOREIGN KEY(MemberID_A) REFERENCES Members(MemberID),
+    FOREIGN KEY(MemberID_B) REFERENCES Members(MemberID)
+);
+
+CREATE TABLE Chats (
+    ChatID SERIAL PRIMARY KEY,
+    Name VARCHAR(255)
+);
+
+CREATE TABLE ChatMembers (
+    ChatID INT NOT NULL,
+    MemberID INT NOT NULL,
+    FOREIGN KEY(MemberID) REFERENCES Members(MemberID),
+    FOREIGN KEY(ChatID) REFERENCES Chats(ChatID)
+);
+
+CREATE TABLE Messages (
+    PrimaryKey SERIAL PRIMARY KEY,
+    ChatID INT,
+    Message VARCHAR(255),
+    MemberID INT,
+    TimeStamp TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(MemberID) REFERENCES Members(MemberID),
+    FOREIGN KEY(ChatID) REFERENCES Chats(ChatID)
+);
+
+CREATE TABLE Push_Token (
+    KeyID SERIAL PRIMARY KEY,
+    MemberID INT NOT NULL UNIQUE,
+    Token VARCHAR(255),
+    FOREIGN KEY(MemberID) REFERENCES Members(MemberID)
+);
@@ -0,0 +1,153 @@
+// Shared set-up for the route tests. The service runs against an in-memory
+// Postgres holding the course tables and every migration, and sends pushes
+// through the in-memory transport.
+process.env.JSON_WEB_TOKEN = 'test secret';
+process.env.PUSH_PROVIDER = 'memory';
+
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+const WebSocket = require('ws');
+
+const pool = require('../utilities').pool;
+const sessions = require('../utilities').sessions;
+const live = require('../utilities').live;
+const app = require('../app.js');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '../migrations');
+
+const db = new PGlite();
+
+//the routes call pool.query(text, values), and changePassword passes a callback too
+pool.query = (text, values, callback) => {
+    if (typeof values === 'function') {
+        callback = values;
+        values = [];
+    }
+    const result = db.query(text, values || [])
+        .then(result => ({ rows: result.rows, rowCount: result.rowCount }));
+    if (!callback) {
+        return result;
+    }
+    result.then(result => callback(null, result), err => callback(err));
+};
+
+let server;
+let baseUrl;
+
+/**
+ * Creates the tables and starts the service on a free port.
+ * @returns {Promise} resolves once requests can be made.
+ */
+function start() {
+    const schema = [path.resolve(__dirname, 'fixtures/schema.sql')]
+        .concat(fs.readdirSync(MIGRATIONS_DIR)
+            .filter(file => file.endsWith('.sql'))
+            .sort()
+            .map(file => path.join(MIGRATIONS_DIR, file)));
+    return schema.reduce((previous, file) =>
+        previous.then(() => db.exec(fs.readFileSync(file, 'utf8'))), Promise.resolve())
+        .then(() => new Promise(resolve => {
+            server = app.listen(0, () => {
+                baseUrl = 'http://localhost:' + server.address().port;
+                resolve();
+            });
+            live.attach(server);
+        }));
+}
+
+/**
+ * Stops the service and the database.
+ * @returns {Promise} resolves once both are stopped.
+ */
+function stop() {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve))
+        .then(() => db.close());
+}
+
+/**
+ * Adds a verified member.
+ * @param {String} username the member's username, also used for their email
+ * @returns {Promise} resolves to the memberid, email and a token for a new session
+ */
+function addMember(username) {
+    const email = username + '@example.com';
+    return db.query(`INSERT INTO Members(FirstName, LastName, Username, Email, Verified)
+                     VALUES ($1, $1, $1, $2, TRUE) RETURNING MemberID`, [username, email])
+        .then(result => {
+            const memberid = result.rows[0].memberid;
+            return login({ memberid, email })
+                .then(session => ({ memberid, email, ...session }));
+        });
+}
+
+/**
+ * Starts another session for a member, as logging in on another device does.
+ * @param {Object} member the member, as returned by addMember
+ * @returns {Promise} resolves to the token and id of the session
+ */
+function login(member) {
+    return sessions.createSession(member.memberid, member.email, 'test')
+        .then(session => ({ token: session.token, sessionId: session.sessionId }));
+}
+
+/**
+ * Adds a chat with its members, the first of them its owner.
+ * @param {String} name the name of the chat
+ * @param {Object[]} members the members, as returned by addMember
+ * @returns {Promise} resolves to the chat id
+ */
+function addChat(name, members) {
+    return db.query('INSERT INTO Chats(Name) VALUES ($1) RETURNING ChatID', [name])
+        .then(result => {
+            const chatId = result.rows[0].chatid;
+            return db.query(`INSERT INTO ChatMembers(ChatID, MemberID, Role)
+                             SELECT $1, MemberID, CASE WHEN Position=1 THEN 'owner' ELSE 'member' END
+                             FROM unnest($2::int[]) WITH ORDINALITY AS Joining(MemberID, Position)`,
+            [chatId, members.map(member => member.memberid)])
+                .then(() => chatId);
+        });
+}
+
+/**
+ * Makes a request to the service.
+ * @param {String} method the HTTP method
+ * @param {String} url the path, with any query string
+ * @param {Object} options the token to send, and a JSON body or a raw body with its type
+ * @returns {Promise} resolves to the status and parsed JSON body of the response
+ */
+function request(method, url, options = {}) {
+    const headers = {};
+    let body;
+    if (options.token) {
+        headers.authorization = 'Bearer ' + options.token;
+    }
+    if (options.raw !== undefined) {
+        headers['content-type'] = options.type;
+        body = options.raw;
+    } else if (options.body !== undefined) {
+        headers['content-type'] = 'application/json';
+        body = JSON.stringify(options.body);
+    }
+    return fetch(baseUrl + url, { method, headers, body })
+        .then(response => response.text()
+            .then(text => ({ status: response.status, body: text ? JSON.parse(text) : undefined })));
+}
+
+/**
+ * Opens a live connection.
+ * @param {String} token the token to connect with
+ * @returns {Promise} resolves to the open socket
+ */
+function connect(token) {
+    const socket = new WebSocket(baseUrl.replace('http', 'ws') + '/live?token=' + token);
+    return new Promise((resolve, reject) => {
+        socket.on('open', () => resolve(socket));
+        socket.on('error', reject);
+    });
+}
+
+module.exports = {
+    db, start, stop, addMember, login, addChat, request, connect
+};
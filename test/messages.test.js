@@ -0,0 +1,69 @@
+// Posting and listing messages.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const helpers = require('./helpers.js');
+
+describe('messages', () => {
+    let member, friend, chatId;
+
+    before(() => helpers.start()
+        .then(() => Promise.all(['member', 'friend'].map(helpers.addMember)))
+        .then(added => {
+            [member, friend] = added;
+            return helpers.addChat('Chat', [member]);
+        })
+        .then(id => {
+            chatId = id;
+        }));
+
+    after(() => helpers.stop());
+
+    it('refuses a message that is not text', () => {
+        return helpers.request('POST', '/messages', { token: member.token, body: { chatId, message: ['x'] } })
+            .then(response => {
+                assert.strictEqual(response.status, 400);
+                assert.strictEqual(response.body.message, 'Missing required information');
+            });
+    });
+
+    it('refuses an edit that is not text', () => {
+        return helpers.db.query(`INSERT INTO Messages(ChatId, Message, MemberId)
+                                 VALUES ($1, 'first', $2) RETURNING PrimaryKey`, [chatId, member.memberid])
+            .then(result => helpers.request('PUT', `/messages/${chatId}/${result.rows[0].primarykey}`, {
+                token: member.token, body: { message: ['x'] }
+            }))
+            .then(response => {
+                assert.strictEqual(response.status, 400);
+                assert.strictEqual(response.body.message, 'Missing required information');
+            });
+    });
+
+    it('refuses cursors too large for an id', () => {
+        return helpers.request('GET', `/messages/${chatId}?before=99999999999`, { token: member.token })
+            .then(response => {
+                assert.strictEqual(response.status, 400);
+                assert.strictEqual(response.body.message,
+                    'Malformed parameter. messageId, before, after, around and limit must be numbers from 1 to 2147483647');
+            });
+    });
+
+    it('names a direct chat after the other user in the list of mentions', () => {
+        let directId;
+        return helpers.db.query(`INSERT INTO Chats(Name, DirectKey) VALUES ('', $1) RETURNING ChatId`,
+            [member.memberid + ':' + friend.memberid])
+            .then(result => {
+                directId = result.rows[0].chatid;
+                return helpers.db.query(`INSERT INTO ChatMembers(ChatId, MemberId) VALUES ($1, $2), ($1, $3)`,
+                    [directId, member.memberid, friend.memberid]);
+            })
+            .then(() => helpers.request('POST', '/messages', {
+                token: friend.token, body: { chatId: directId, message: 'look @member' }
+            }))
+            .then(response => {
+                assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+                return helpers.request('GET', '/messages/mentions', { token: member.token });
+            })
+            .then(response => assert.deepStrictEqual(response.body.messages.map(mention => mention.chatName), ['friend']));
+    });
+});
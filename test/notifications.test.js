@@ -0,0 +1,99 @@
+// New messages are pushed, through the queue, to the other members' devices.
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const helpers = require('./helpers.js');
+
+const notificationQueue = require('../utilities').notificationQueue;
+const transport = require('../utilities').messaging.transport;
+
+describe('pushes for new messages', () => {
+    let sender, reader, muted, chatId;
+
+    before(() => helpers.start()
+        .then(() => Promise.all(['sender', 'reader', 'muted'].map(helpers.addMember)))
+        .then(members => {
+            [sender, reader, muted] = members;
+            return helpers.addChat('Team', members);
+        })
+        .then(id => {
+            chatId = id;
+            return Promise.all(members().map(member =>
+                helpers.request('PUT', '/auth', {
+                    token: member.token,
+                    body: { token: member.email + '-token', deviceId: 'phone', platform: 'android' }
+                })));
+        })
+        .then(() => helpers.request('PUT', `/chats/${chatId}/notifications`, {
+            token: muted.token,
+            body: { mutedUntil: new Date(Date.now() + 60 * 60 * 1000).toISOString() }
+        })));
+
+    after(() => helpers.stop());
+
+    beforeEach(() => transport.clear());
+
+    const members = () => [sender, reader, muted];
+
+    //posts the message and sends everything it queued
+    const post = body => helpers.request('POST', '/messages', { token: sender.token, body })
+        .then(response => {
+            assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+            return notificationQueue.drain();
+        });
+
+    it('pushes only to members who want the message', () => {
+        return post({ chatId, message: 'hello team' })
+            .then(() => {
+                assert.deepStrictEqual(transport.sent.map(push => push.token), [reader.email + '-token']);
+                const push = transport.sent[0];
+                assert.strictEqual(push.data.type, 'msg');
+                assert.strictEqual(push.data.message.message, 'hello team');
+                assert.strictEqual(push.options.collapse_key, 'chat-' + chatId);
+                assert.strictEqual(push.options.notification.body, 'hello team');
+            });
+    });
+
+    it('pushes a mention even to a member who muted the chat', () => {
+        return post({ chatId, message: 'over to you @muted' })
+            .then(() => {
+                const types = Object.fromEntries(transport.sent.map(push => [push.token, push.data.type]));
+                assert.deepStrictEqual(types, {
+                    [reader.email + '-token']: 'msg',
+                    [muted.email + '-token']: 'mention'
+                });
+            });
+    });
+
+    it('pushes only a reply to the author of the message replied to', () => {
+        return helpers.db.query(`INSERT INTO Messages(ChatId, Message, MemberId)
+                                 VALUES ($1, 'question', $2) RETURNING PrimaryKey`, [chatId, reader.memberid])
+            .then(result => post({ chatId, message: 'answer', replyTo: result.rows[0].primarykey }))
+            .then(() => assert.deepStrictEqual(transport.sent.map(push => [push.token, push.data.type]),
+                [[reader.email + '-token', 'reply']]));
+    });
+
+    it('leaves the chat name out of mentions and replies in a direct chat', () => {
+        let directId;
+        return helpers.db.query(`INSERT INTO Chats(Name, DirectKey) VALUES ('', $1) RETURNING ChatId`,
+            [sender.memberid + ':' + reader.memberid])
+            .then(result => {
+                directId = result.rows[0].chatid;
+                return helpers.db.query(`INSERT INTO ChatMembers(ChatId, MemberId) VALUES ($1, $2), ($1, $3)`,
+                    [directId, sender.memberid, reader.memberid]);
+            })
+            .then(() => post({ chatId: directId, message: 'hi @reader' }))
+            .then(() => {
+                assert.deepStrictEqual(transport.sent.map(push => push.options.notification.title),
+                    ['sender mentioned you']);
+                transport.clear();
+                return helpers.db.query(`INSERT INTO Messages(ChatId, Message, MemberId)
+                                         VALUES ($1, 'question', $2) RETURNING PrimaryKey`,
+                    [directId, reader.memberid]);
+            })
+            .then(result => post({ chatId: directId, message: 'answer', replyTo: result.rows[0].primarykey }))
+            .then(() => assert.deepStrictEqual(
+                transport.sent.filter(push => push.data.type == 'reply').map(push => push.options.notification.title),
+                ['sender replied to you']));
+    });
+});
@@ -0,0 +1,58 @@
+// Owners and admins pin messages; in a chat with neither, such as a direct chat, any member may.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const helpers = require('./helpers.js');
+
+describe('pinning messages', () => {
+    let alice, bob;
+
+    before(() => helpers.start()
+        .then(() => Promise.all(['alice', 'bob'].map(helpers.addMember)))
+        .then(members => {
+            [alice, bob] = members;
+            return helpers.db.query(`INSERT INTO Contacts(MemberID_A, MemberID_B, Verified)
+                                     VALUES ($1, $2, TRUE)`, [alice.memberid, bob.memberid]);
+        }));
+
+    after(() => helpers.stop());
+
+    //posts a message to the chat as the member, resolving to its id
+    const post = (chatId, member) =>
+        helpers.db.query(`INSERT INTO Messages(ChatId, Message, MemberId)
+                          VALUES ($1, 'pin me', $2) RETURNING PrimaryKey`, [chatId, member.memberid])
+            .then(result => result.rows[0].primarykey);
+
+    it('lets either member of a direct chat pin and unpin', () => {
+        let chatId, messageId;
+        return helpers.request('POST', `/chats/direct/${bob.email}`, { token: alice.token })
+            .then(response => {
+                assert.strictEqual(response.status, 201, JSON.stringify(response.body));
+                chatId = response.body.chatID;
+                return post(chatId, alice);
+            })
+            .then(id => {
+                messageId = id;
+                return helpers.request('POST', `/chats/${chatId}/pins/${messageId}`, { token: bob.token });
+            })
+            .then(response => {
+                assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+                return helpers.request('DELETE', `/chats/${chatId}/pins/${messageId}`, { token: alice.token });
+            })
+            .then(response => assert.strictEqual(response.status, 200, JSON.stringify(response.body)));
+    });
+
+    it('keeps pinning to the owner and admins of a group chat', () => {
+        let chatId;
+        return helpers.addChat('Group', [alice, bob])
+            .then(id => {
+                chatId = id;
+                return post(chatId, bob);
+            })
+            .then(messageId => helpers.request('POST', `/chats/${chatId}/pins/${messageId}`, { token: bob.token }))
+            .then(response => {
+                assert.strictEqual(response.status, 403);
+                assert.strictEqual(response.body.message, 'insufficient role in chat');
+            });
+    });
+});
@@ -0,0 +1,48 @@
+// Each device keeps its own Pushy token; deleting one leaves the others.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const helpers = require('./helpers.js');
+
+describe('deleting a Pushy token', () => {
+    let member, laptop, tablet;
+
+    before(() => helpers.start()
+        .then(() => helpers.addMember('member'))
+        .then(added => {
+            member = added;
+            return Promise.all([helpers.login(member), helpers.login(member)]);
+        })
+        .then(sessions => {
+            [laptop, tablet] = sessions;
+            return Promise.all([
+                helpers.request('PUT', '/auth', { token: member.token, body: { token: 'phone-token', deviceId: 'phone' } }),
+                helpers.request('PUT', '/auth', { token: laptop.token, body: { token: 'laptop-token', deviceId: 'laptop' } }),
+                helpers.request('PUT', '/auth', { token: tablet.token, body: { token: 'tablet-token', deviceId: 'tablet' } })
+            ]);
+        }));
+
+    after(() => helpers.stop());
+
+    //resolves to the ids of the member's devices that still have a token
+    const devices = () => helpers.db.query('SELECT DeviceId FROM Push_Token WHERE MemberId=$1 ORDER BY DeviceId',
+        [member.memberid]).then(result => result.rows.map(row => row.deviceid));
+
+    it('deletes the named device\'s token', () => {
+        return helpers.request('DELETE', '/auth?deviceId=tablet', { token: member.token })
+            .then(response => {
+                assert.strictEqual(response.status, 200);
+                return devices();
+            })
+            .then(ids => assert.deepStrictEqual(ids, ['laptop', 'phone']));
+    });
+
+    it('deletes only the session\'s token when no device is named', () => {
+        return helpers.request('DELETE', '/auth', { token: member.token })
+            .then(response => {
+                assert.strictEqual(response.status, 200);
+                return devices();
+            })
+            .then(ids => assert.deepStrictEqual(ids, ['laptop']));
+    });
+});
@@ -0,0 +1,58 @@
+// Revoking a session stops its device's live updates and pushes.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const helpers = require('./helpers.js');
+
+describe('revoking a session', () => {
+    let member, laptop;
+
+    before(() => helpers.start()
+        .then(() => helpers.addMember('member'))
+        .then(added => {
+            member = added;
+            return helpers.login(member);
+        })
+        .then(session => {
+            laptop = session;
+            return Promise.all([
+                helpers.request('PUT', '/auth', { token: member.token, body: { token: 'phone-token', deviceId: 'phone' } }),
+                helpers.request('PUT', '/auth', { token: laptop.token, body: { token: 'laptop-token', deviceId: 'laptop' } })
+            ]);
+        }));
+
+    after(() => helpers.stop());
+
+    //resolves to the close code once the socket is closed
+    const closed = socket => new Promise(resolve => socket.on('close', code => resolve(code)));
+
+    it('closes its live connections and deletes its device\'s Pushy token', () => {
+        let phoneClosed, laptopSocket;
+        return Promise.all([helpers.connect(member.token), helpers.connect(laptop.token)])
+            .then(sockets => {
+                phoneClosed = closed(sockets[0]);
+                laptopSocket = sockets[1];
+                return helpers.request('POST', '/auth/logout', { token: member.token });
+            })
+            .then(response => {
+                assert.strictEqual(response.status, 200);
+                return phoneClosed;
+            })
+            .then(code => {
+                assert.strictEqual(code, 4003);
+                assert.strictEqual(laptopSocket.readyState, laptopSocket.OPEN);
+                return helpers.db.query('SELECT DeviceId FROM Push_Token WHERE MemberId=$1', [member.memberid]);
+            })
+            .then(result => {
+                assert.deepStrictEqual(result.rows, [{ deviceid: 'laptop' }]);
+                const laptopClosed = closed(laptopSocket);
+                return helpers.request('DELETE', `/auth/sessions/${laptop.sessionId}`, { token: laptop.token })
+                    .then(() => laptopClosed);
+            })
+            .then(code => {
+                assert.strictEqual(code, 4003);
+                return helpers.db.query('SELECT DeviceId FROM Push_Token WHERE MemberId=$1', [member.memberid]);
+            })
+            .then(result => assert.strictEqual(result.rowCount, 0));
+    });
+});
@@ -0,0 +1,60 @@
+const pool = require('./sql_conn.js');
+
+// where the files themselves are kept, as chosen by ATTACHMENT_STORAGE
+const storage = require('./storage_utilities.js');
+
+/**
+ * Seconds an uploaded file may wait to be sent with a message before it is deleted.
+ */
+const UNSENT_LIFETIME = 24 * 60 * 60;
+
+/**
+ * How often, in milliseconds, unsent files are looked for.
+ */
+const CLEANUP_INTERVAL = 60 * 60 * 1000;
+
+let timer;
+
+/**
+ * Deletes the files that were uploaded but never sent with a message within
+ * UNSENT_LIFETIME, along with their rows.
+ * @returns {Promise} resolves to the number of files deleted.
+ */
+function expireUnsent() {
+    let query = `DELETE FROM Attachments
+                 WHERE MessageId IS NULL
+                 AND CreatedAt < NOW() AT TIME ZONE 'UTC' - $1 * INTERVAL '1 second'
+                 RETURNING StorageKey`;
+    return pool.query(query, [UNSENT_LIFETIME])
+        .then(result => {
+            result.rows.forEach(row =>
+                storage.remove(row.storagekey).catch(err => console.log('Storage Error', err)));
+            return result.rowCount;
+        });
+}
+
+/**
+ * Starts deleting unsent files regularly.
+ */
+function start() {
+    if (timer) {
+        return;
+    }
+    timer = setInterval(() => {
+        expireUnsent()
+            .catch(err => console.log('SQL Error expiring unsent attachments', err));
+    }, CLEANUP_INTERVAL);
+    timer.unref();
+}
+
+/**
+ * Stops deleting unsent files.
+ */
+function stop() {
+    clearInterval(timer);
+    timer = undefined;
+}
+
+module.exports = {
+    expireUnsent, start, stop
+};
@@ -1,5 +1,50 @@
 const crypto = require("crypto");
 
+/**
+ * The ways a password hash may have been made, keyed by the version stored in
+ * front of the hash as "v<version>$". Hashes without a version are version 1,
+ * a single SHA-256, from before passwords were hashed with scrypt. To make
+ * hashing slower as hardware gets faster, add a version and make it CURRENT_VERSION;
+ * users are moved to it the next time they log in.
+ */
+const VERSIONS = {
+    1: (pw, salt) => Promise.resolve(module.exports.generateHash(pw, salt)),
+    2: (pw, salt) => scrypt(pw, salt, { N: 2 ** 15, r: 8, p: 1 }),
+};
+
+/**
+ * The version new password hashes are made with.
+ */
+const CURRENT_VERSION = 2;
+
+/**
+ * Length in bytes of an scrypt hash.
+ */
+const KEY_LENGTH = 32;
+
+//runs scrypt off the main thread, so logging in does not stall other requests
+function scrypt(pw, salt, cost) {
+    return new Promise((resolve, reject) => {
+        //scrypt needs 128 * N * r bytes, more than the default limit of 32MB at N=2^15
+        const options = { ...cost, maxmem: 256 * cost.N * cost.r };
+        crypto.scrypt(pw, salt, KEY_LENGTH, options, (err, key) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(key.toString("hex"));
+            }
+        });
+    });
+}
+
+//splits a stored hash into its version and the hash itself
+function parseHash(stored) {
+    const match = /^v(\d+)\$(.*)$/.exec(stored);
+    return match
+        ? { version: parseInt(match[1]), hash: match[2] }
+        : { version: 1, hash: stored };
+}
+
 module.exports = { 
     /**
      * Creates a salted and hashed string of hexadecimal characters. Used to encrypt
@@ -10,6 +55,41 @@ module.exports = {
     generateHash: (pw, salt) => {
         return crypto.createHash("sha256").update(pw + salt).digest("hex");
     }, 
+    /**
+     * Hashes a password with scrypt, the current way to store passwords.
+     * @param {string} pw the password to hash
+     * @param {string} salt the salt to use when hashing
+     * @returns {Promise} resolves to the hash, prefixed with its version, to store as SaltedHash
+     */
+    hashPassword: (pw, salt) => {
+        return VERSIONS[CURRENT_VERSION](pw, salt)
+            .then(hash => "v" + CURRENT_VERSION + "$" + hash);
+    },
+    /**
+     * Checks a password against a stored hash of any version.
+     * @param {string} pw the password to check
+     * @param {string} salt the salt stored with the hash
+     * @param {string} stored the stored hash
+     * @returns {Promise} resolves to true if the password matches
+     */
+    verifyPassword: (pw, salt, stored) => {
+        const { version, hash } = parseHash(stored);
+        if (!VERSIONS[version]) {
+            return Promise.resolve(false);
+        }
+        return VERSIONS[version](pw, salt)
+            .then(provided => provided.length == hash.length
+                && crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(hash)));
+    },
+    /**
+     * Tells whether a stored hash was made an older way and should be replaced
+     * once the password is known.
+     * @param {string} stored the stored hash
+     * @returns {boolean} true if the hash is not of the current version
+     */
+    needsRehash: (stored) => {
+        return parseHash(stored).version != CURRENT_VERSION;
+    },
     /**
      * Creates a random string of hexadecimal characters with the length of size.
      * @param {string} size the size (in bits) of the salt to create 
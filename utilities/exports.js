@@ -4,6 +4,9 @@ const credUtils = require('./credentialingUtils')
 module.exports = { 
     pool: require('./sql_conn.js'), // Connection to Heroku Database
     generateHash: credUtils.generateHash,
+    hashPassword: credUtils.hashPassword,
+    verifyPassword: credUtils.verifyPassword,
+    needsRehash: credUtils.needsRehash,
     generateSalt: credUtils.generateSalt,
     generatePassword: credUtils.generatePassword,
     validation: require('./validationUtils.js'),
@@ -11,4 +14,9 @@ module.exports = {
     registerUtils: require('./registerUtils'),
     getLatLong: require('./geocoder.js').getLatLong,
     messaging: require('./pushy_utilities.js'),
+    live: require('./live_utilities.js'),
+    notificationQueue: require('./queue_utilities.js'), // Outbound push notifications, retried until sent
+    sessions: require('./session_utilities.js'), // Login sessions and their refresh tokens
+    storage: require('./storage_utilities.js'), // Where message attachments are kept
+    attachments: require('./attachment_utilities.js'), // Clears out attachments that were never sent
 }
@@ -0,0 +1,180 @@
+const { WebSocketServer } = require('ws');
+
+const { verifyToken } = require('../middleware/jwt.js');
+
+const {
+    messageData, editData, replyData, mentionData, deleteData, typingData, reactionData,
+    chatActionData, contactUpdateData
+} = require('./pushy_utilities.js');
+
+/**
+ * The path clients connect to, e.g. ws://host/live?token=<JWT>
+ */
+const LIVE_PATH = '/live';
+
+/**
+ * Open sockets keyed by memberid. A member may have several sessions open
+ * at once (web, desktop, ...), so each entry is a Set of sockets.
+ */
+const sessions = new Map();
+
+/**
+ * The same sockets keyed by the login session whose token opened them, so
+ * they can be closed when that session is revoked.
+ */
+const loginSessions = new Map();
+
+/**
+ * Close codes sent to the client. After TOKEN_EXPIRED it should refresh its
+ * token and reconnect; after SESSION_REVOKED it must log in again.
+ */
+const TOKEN_EXPIRED = 4001;
+const SESSION_REVOKED = 4003;
+
+const wss = new WebSocketServer({ noServer: true });
+
+/**
+ * Pulls the JWT out of an upgrade request. Browsers cannot set headers on a
+ * WebSocket handshake, so the token may also be passed as a query parameter.
+ * @param {Object} request The incoming upgrade request.
+ * @returns {String} the raw token, or undefined if none was supplied.
+ */
+function tokenFromRequest(request) {
+    const url = new URL(request.url, 'http://localhost');
+    return request.headers['x-access-token']
+        || request.headers['authorization']
+        || url.searchParams.get('token')
+        || undefined;
+}
+
+function addSocket(map, key, socket) {
+    if (!map.has(key)) {
+        map.set(key, new Set());
+    }
+    map.get(key).add(socket);
+}
+
+function removeSocket(map, key, socket) {
+    const sockets = map.get(key);
+    if (sockets) {
+        sockets.delete(socket);
+        if (sockets.size == 0) {
+            map.delete(key);
+        }
+    }
+}
+
+/**
+ * Attaches the live connection endpoint to the HTTP server. Upgrade requests
+ * are authenticated with the same JWT the REST routes use.
+ * @param {Object} server The HTTP server returned by app.listen.
+ */
+function attach(server) {
+    server.on('upgrade', (request, socket, head) => {
+        if (new URL(request.url, 'http://localhost').pathname !== LIVE_PATH) {
+            socket.destroy();
+            return;
+        }
+
+        const token = tokenFromRequest(request);
+        if (!token) {
+            socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+
+        verifyToken(token, (err, decoded) => {
+            if (err) {
+                socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+                socket.destroy();
+                return;
+            }
+            wss.handleUpgrade(request, socket, head, ws => {
+                addSocket(sessions, decoded.memberid, ws);
+                addSocket(loginSessions, decoded.sessionid, ws);
+                //the token is only checked here, so stop when it expires
+                const expiry = setTimeout(() => ws.close(TOKEN_EXPIRED, 'token expired'),
+                    decoded.exp * 1000 - Date.now());
+                ws.on('close', () => {
+                    clearTimeout(expiry);
+                    removeSocket(sessions, decoded.memberid, ws);
+                    removeSocket(loginSessions, decoded.sessionid, ws);
+                });
+                ws.on('error', err => console.log('Live connection error', err));
+            });
+        });
+    });
+}
+
+/**
+ * Sends the payload to every open session of the member. Members without an
+ * open session are silently skipped; they still receive Pushy notifications.
+ * @param {Number} memberid The member to send to.
+ * @param {Object} data The payload, in the same shape Pushy sends.
+ */
+function sendToMember(memberid, data) {
+    const sockets = sessions.get(memberid);
+    if (!sockets) {
+        return;
+    }
+    const body = JSON.stringify(data);
+    sockets.forEach(ws => {
+        if (ws.readyState === ws.OPEN) {
+            ws.send(body);
+        }
+    });
+}
+
+/**
+ * Closes the sockets opened with the tokens of a login session, once the
+ * session is revoked.
+ * @param {Number} sessionid The session.
+ */
+function closeSession(sessionid) {
+    const sockets = loginSessions.get(sessionid);
+    if (sockets) {
+        //copied, as the close handlers remove the sockets from the set
+        [...sockets].forEach(ws => ws.close(SESSION_REVOKED, 'session revoked'));
+    }
+}
+
+function sendMessageToMember(memberid, message) {
+    sendToMember(memberid, messageData(message));
+}
+
+function sendMessageEdit(memberid, message) {
+    sendToMember(memberid, editData(message));
+}
+
+function sendReply(memberid, message) {
+    sendToMember(memberid, replyData(message));
+}
+
+function sendMention(memberid, message) {
+    sendToMember(memberid, mentionData(message));
+}
+
+function sendMessageDelete(memberid, chatid, messageid) {
+    sendToMember(memberid, deleteData(chatid, messageid));
+}
+
+function sendTyping(memberid, chatid, email) {
+    sendToMember(memberid, typingData(chatid, email));
+}
+
+function sendReaction(memberid, reaction) {
+    sendToMember(memberid, reactionData(reaction));
+}
+
+function sendChatAction(memberid, action, chatid, name) {
+    sendToMember(memberid, chatActionData(action, chatid, name));
+}
+
+function sendContactUpdate(memberid, action, connId) {
+    sendToMember(memberid, contactUpdateData(action, connId));
+}
+
+module.exports = {
+    attach, closeSession, sendToMember, sendMessageToMember, sendMessageEdit, sendMessageDelete,
+    sendReply, sendMention, sendTyping, sendReaction, sendChatAction, sendContactUpdate
+}
@@ -1,68 +1,191 @@
-const Pushy = require('pushy');
+// Pushy, or the in-memory stand-in, as chosen by PUSH_PROVIDER
+const transport = require('./transport_utilities.js');
 
-// Plug in your Secret API Key 
-const pushyAPI = new Pushy(process.env.PUSHY_API_KEY);
+const queue = require('./queue_utilities.js');
 
-//use to send message to a specific client by the token
-function sendMessageToIndividual(token, message) {
+// The title and body text devices show for each kind of notification
+const templates = require('./template_utilities.js');
 
-    //build the message for Pushy to send
-    var data = {
+//queue the payload for the token. The queue sends it through the configured
+//transport, retrying if that fails, so callers need not wait
+function deliver(data, token, options) {
+    queue.enqueue(data, token, options)
+        .catch(err => {
+            // Log errors to console 
+            console.log('SQL Error queueing push (' + data.type + ')', err)
+        })
+}
+
+//build the "msg" payload. Shared with the live connection channel so clients
+//can handle both the same way
+function messageData(message) {
+    return {
         "type": "msg",
         "message": message,
         "chatid": message.chatid
     }
+}
 
+//build the "edit" payload, carrying the message row as it reads after the edit
+function editData(message) {
+    return {
+        "type": "edit",
+        "message": message,
+        "chatid": message.chatid
+    }
+}
 
-    // Send push notification via the Send Notifications API 
-    // https://pushy.me/docs/api/send-notifications 
-    pushyAPI.sendPushNotification(data, token, {}, function (err, id) {
-        // Log errors to console 
-        if (err) {
-            return console.log('Fatal Error', err);
-        }
-    })
+//build the "reply" payload, sent to the author of the message replied to
+function replyData(message) {
+    return {
+        "type": "reply",
+        "message": message,
+        "chatid": message.chatid
+    }
 }
 
-function sendChatAction(token, action, chatid, name) {
+//build the "mention" payload, sent to the members a message mentions. Clients
+//should alert for it even when they would not for an ordinary message
+function mentionData(message) {
+    return {
+        "type": "mention",
+        "priority": "high",
+        "message": message,
+        "chatid": message.chatid
+    }
+}
 
-    //build the message for Pushy to send
-    var data = {
+//build the "delete" payload, telling clients to hide the message
+function deleteData(chatid, messageid) {
+    return {
+        "type": "delete",
+        chatid,
+        messageid
+    }
+}
+
+//build the "typing" payload
+function typingData(chatid, email) {
+    return {
+        "type": "typing",
+        chatid,
+        email
+    }
+}
+
+//build the "reaction" payload. reaction holds the chatid, messageid, email of
+//the member reacting, the reaction itself and whether it was added or removed
+function reactionData(reaction) {
+    return {
+        "type": "reaction",
+        ...reaction
+    }
+}
+
+//build the "chat" payload
+function chatActionData(action, chatid, name) {
+    return {
         "type": "chat",
         action,
         chatid,
         name
     }
-
-    console.log("Push sent successfully")
-    pushyAPI.sendPushNotification(data, token, {}, function (err, id) {
-        // Log errors to console 
-        if (err) {
-            return console.log('Fatal Error', err);
-        }
-    })
 }
 
-function sendContactUpdate(token, action, connId) {
-    var data = {
+//build the "contact" payload
+function contactUpdateData(action, connId) {
+    return {
         "type": "contact",
         action,
         connId
     }
-    
-    pushyAPI.sendPushNotification(data, token, {}, function (err, id) {
-        // Log errors to console 
-        if (err) {
-            return console.log('Fatal Error', err);
-        }
+}
 
-        // Log success 
-        console.log('Push sent successfully! (ID: ' + id + ')')
-    })
+//use to send message to a specific client by the token. context names the
+//sender and chat for the visible notification, and carries the badge count
+function sendMessageToIndividual(token, message, context) {
+
+    //build the message for Pushy to send
+    var data = messageData(message)
+
+
+    deliver(data, token, templates.messageOptions(message, context))
+}
+
+//use to tell a specific client by the token that a message was edited
+function sendMessageEdit(token, message) {
+    var data = editData(message)
+
+    deliver(data, token, {})
+}
+
+//use to tell a specific client by the token that someone replied to their message
+function sendReply(token, message, context) {
+    var data = replyData(message)
+
+    deliver(data, token, templates.replyOptions(message, context))
+}
+
+//use to tell a specific client by the token that they were mentioned in a message
+function sendMention(token, message, context) {
+    var data = mentionData(message)
+
+    deliver(data, token, templates.mentionOptions(message, context))
+}
+
+//use to tell a specific client by the token that a message was deleted
+function sendMessageDelete(token, chatid, messageid) {
+    var data = deleteData(chatid, messageid)
+
+    deliver(data, token, {})
+}
+
+//use to tell a specific client by the token that someone is typing. The
+//notification is useless after a few seconds so Pushy is told not to hold it
+function sendTyping(token, chatid, email) {
+    var data = typingData(chatid, email)
+
+    deliver(data, token, { time_to_live: 10 })
+}
+
+//use to tell a specific client by the token that a reaction was added or removed
+function sendReaction(token, reaction) {
+    var data = reactionData(reaction)
+
+    deliver(data, token, {})
+}
+
+//senderName, the username of the member who added the client, is only
+//needed for "newRoom", to show who added them
+function sendChatAction(token, action, chatid, name, senderName) {
+
+    //build the message for Pushy to send
+    var data = chatActionData(action, chatid, name)
+    var options = action == "newRoom" && senderName
+        ? templates.addedToChatOptions(name, senderName)
+        : {}
+
+    console.log("Push sent successfully")
+    deliver(data, token, options)
+}
+
+//senderName, the username of the member asking, is only needed for
+//"newRequest", to show who is asking
+function sendContactUpdate(token, action, connId, senderName) {
+    var data = contactUpdateData(action, connId)
+    var options = action == "newRequest" && senderName
+        ? templates.contactRequestOptions(senderName)
+        : {}
+    
+    deliver(data, token, options)
 }
 
 //add other "sendTypeToIndividual" functions here. Don't forget to export them
 
 module.exports = {
-    sendMessageToIndividual, sendContactUpdate, sendChatAction
+    transport,
+    sendMessageToIndividual, sendContactUpdate, sendChatAction, sendMessageEdit, sendMessageDelete,
+    sendTyping, sendReaction, sendReply, sendMention,
+    messageData, editData, replyData, mentionData, deleteData, typingData, reactionData,
+    chatActionData, contactUpdateData
 }
\ No newline at end of file
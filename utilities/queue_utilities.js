@@ -0,0 +1,189 @@
+const pool = require('./sql_conn.js');
+
+// Pushy, or the in-memory stand-in, as chosen by PUSH_PROVIDER
+const transport = require('./transport_utilities.js');
+
+/**
+ * How often, in milliseconds, the queue is checked for notifications due to be sent.
+ */
+const POLL_INTERVAL = 5000;
+
+/**
+ * Most notifications sent in one pass over the queue.
+ */
+const BATCH_SIZE = 50;
+
+/**
+ * Attempts made at a notification before it is dead-lettered.
+ */
+const MAX_ATTEMPTS = 6;
+
+/**
+ * Seconds to wait before the first retry. Each later retry waits twice as long.
+ */
+const RETRY_DELAY = 5;
+
+/**
+ * Seconds a claimed notification is held for one server before another may
+ * try it, in case the first stops before recording the outcome.
+ */
+const CLAIM_TIMEOUT = 60;
+
+/**
+ * Seconds sent notifications are kept before they are cleared from the queue.
+ */
+const KEEP_SENT = 24 * 60 * 60;
+
+let timer;
+let draining = false;
+let drainAgain = false;
+let pass;
+
+/**
+ * Stores a notification to be sent as soon as possible, retrying if sending fails.
+ * @param {Object} data The payload.
+ * @param {String} token The device token to send it to.
+ * @param {Object} options The Pushy options, e.g. time_to_live.
+ * @returns {Promise} resolves once the notification is stored.
+ */
+function enqueue(data, token, options) {
+    let insert = `INSERT INTO NotificationQueue(Token, Data, Options, NextAttempt)
+                  VALUES ($1, $2, $3, NOW() AT TIME ZONE 'UTC')`
+    let values = [token, data, options];
+    return pool.query(insert, values)
+        .then(() => {
+            drain();
+        });
+}
+
+//Pushy lists the tokens it no longer knows (uninstalled apps, expired
+//registrations) in the result of a send. Those are removed so later
+//sends skip them
+function pruneTokens(tokens) {
+    return pool.query('DELETE FROM Push_Token WHERE Token = ANY($1)', [tokens]);
+}
+
+/**
+ * Records the outcome of one attempt at a notification. Failed attempts are
+ * retried with exponential backoff until MAX_ATTEMPTS, then dead-lettered.
+ * @param {Object} notification The queue row.
+ * @param {Error} err The reason the attempt failed, undefined if it succeeded.
+ */
+function recordOutcome(notification, err) {
+    if (!err) {
+        return pool.query(`UPDATE NotificationQueue
+                           SET Status='sent', SentAt=NOW() AT TIME ZONE 'UTC', LastError=NULL
+                           WHERE NotificationId=$1`, [notification.notificationid]);
+    }
+    const error = err.message || JSON.stringify(err);
+    if (notification.attempts >= MAX_ATTEMPTS) {
+        console.log('Push dead-lettered after ' + notification.attempts + ' attempts', error);
+        return pool.query(`UPDATE NotificationQueue SET Status='dead', LastError=$2
+                           WHERE NotificationId=$1`, [notification.notificationid, error]);
+    }
+    const delay = RETRY_DELAY * 2 ** (notification.attempts - 1);
+    return pool.query(`UPDATE NotificationQueue
+                       SET LastError=$2, NextAttempt=NOW() AT TIME ZONE 'UTC' + $3 * INTERVAL '1 second'
+                       WHERE NotificationId=$1`, [notification.notificationid, error, delay]);
+}
+
+/**
+ * Makes one attempt at a claimed notification. Notifications that only matter
+ * for a short while (time_to_live) are expired rather than sent late.
+ * @param {Object} notification The queue row.
+ */
+function attempt(notification) {
+    const ttl = notification.options.time_to_live;
+    if (ttl && Date.now() - notification.createdat.getTime() > ttl * 1000) {
+        return pool.query(`UPDATE NotificationQueue SET Status='expired'
+                           WHERE NotificationId=$1`, [notification.notificationid]);
+    }
+    return transport.send(notification.data, notification.token, { ...notification.options })
+        .then(result => {
+            if (result.failed.length > 0) {
+                pruneTokens(result.failed)
+                    .catch(err => console.log('SQL Error pruning push tokens', err));
+            }
+            return recordOutcome(notification);
+        }, err => recordOutcome(notification, err || new Error('unknown error')));
+}
+
+/**
+ * Sends every notification that is due, a batch at a time. Only one pass runs
+ * at a time in this server; claiming with SKIP LOCKED keeps servers sharing
+ * the database from sending the same notification.
+ * @returns {Promise} resolves once no notification is due.
+ */
+function drain() {
+    if (draining) {
+        //go round once more when this pass ends, for notifications queued during it
+        drainAgain = true;
+        return pass;
+    }
+    draining = true;
+    drainAgain = false;
+    let claim = `UPDATE NotificationQueue
+                 SET Attempts=Attempts + 1,
+                 NextAttempt=NOW() AT TIME ZONE 'UTC' + $2 * INTERVAL '1 second'
+                 WHERE NotificationId IN (
+                     SELECT NotificationId FROM NotificationQueue
+                     WHERE Status='pending' AND NextAttempt <= NOW() AT TIME ZONE 'UTC'
+                     ORDER BY NextAttempt
+                     LIMIT $1
+                     FOR UPDATE SKIP LOCKED
+                 )
+                 RETURNING *`;
+    pass = pool.query(claim, [BATCH_SIZE, CLAIM_TIMEOUT])
+        .then(result => Promise.all(result.rows.map(attempt))
+            .then(() => result.rowCount))
+        .then(count => {
+            draining = false;
+            //a full batch may mean more are waiting
+            if (count == BATCH_SIZE || drainAgain) {
+                return drain();
+            }
+        }).catch(err => {
+            draining = false;
+            console.log('SQL Error draining the notification queue', err);
+        });
+    return pass;
+}
+
+/**
+ * Clears sent and expired notifications older than KEEP_SENT.
+ */
+function clearSent() {
+    let query = `DELETE FROM NotificationQueue
+                 WHERE Status IN ('sent', 'expired')
+                 AND CreatedAt < NOW() AT TIME ZONE 'UTC' - $1 * INTERVAL '1 second'`;
+    pool.query(query, [KEEP_SENT])
+        .catch(err => console.log('SQL Error clearing the notification queue', err));
+}
+
+/**
+ * Starts checking the queue regularly, picking up retries and anything left
+ * over from before a restart.
+ */
+function start() {
+    if (timer) {
+        return;
+    }
+    timer = setInterval(() => {
+        drain();
+        clearSent();
+    }, POLL_INTERVAL);
+    timer.unref();
+    drain();
+}
+
+/**
+ * Stops checking the queue.
+ */
+function stop() {
+    clearInterval(timer);
+    timer = undefined;
+}
+
+module.exports = {
+    enqueue, drain, start, stop, MAX_ATTEMPTS
+};
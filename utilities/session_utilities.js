@@ -0,0 +1,155 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const config = require("../config.js");
+const pool = require("./sql_conn.js");
+
+/**
+ * Hashes a refresh token for storage. Refresh tokens are random, so a plain
+ * SHA-256 is enough; only the hash is kept in case the table leaks.
+ * @param {string} refreshToken the refresh token
+ * @returns {string} the hash as hexadecimal characters
+ */
+function hashRefreshToken(refreshToken) {
+    return crypto.createHash("sha256").update(refreshToken).digest("hex");
+}
+
+/**
+ * Signs a short lived access token for the session.
+ * @param {Object} session the memberid, email and sessionid to put in the token
+ * @returns {Object} the token and how many seconds it is valid for
+ */
+function signAccessToken(session) {
+    const token = jwt.sign(
+        {
+            email: session.email,
+            memberid: session.memberid,
+            sessionid: session.sessionid,
+        },
+        config.JSON_WEB_TOKEN,
+        {
+            expiresIn: config.ACCESS_TOKEN_SECONDS,
+        }
+    );
+    return { token, expiresIn: config.ACCESS_TOKEN_SECONDS };
+}
+
+/**
+ * Starts a session for a member who just logged in.
+ * @param {number} memberid the member
+ * @param {string} email the member's email
+ * @param {string} device a label for the device logging in, e.g. its user agent
+ * @returns {Promise} resolves to the access token, its lifetime, the refresh token and the session id
+ */
+function createSession(memberid, email, device) {
+    const refreshToken = crypto.randomBytes(32).toString("hex");
+    const insert = `INSERT INTO Sessions(MemberId, RefreshHash, Device, ExpiresAt)
+                    VALUES ($1, $2, $3, NOW() AT TIME ZONE 'UTC' + $4 * INTERVAL '1 day')
+                    RETURNING SessionId`;
+    const values = [memberid, hashRefreshToken(refreshToken), device, config.REFRESH_TOKEN_DAYS];
+    return pool.query(insert, values)
+        .then(result => {
+            const sessionid = result.rows[0].sessionid;
+            return {
+                ...signAccessToken({ memberid, email, sessionid }),
+                refreshToken,
+                sessionId: sessionid,
+            };
+        });
+}
+
+/**
+ * Swaps a refresh token for a new access token and a new refresh token. Each
+ * refresh token works once; if one is presented again it has most likely been
+ * stolen, so the whole session is revoked.
+ * @param {string} refreshToken the refresh token
+ * @returns {Promise} resolves as createSession does, or to null if the refresh token is not valid
+ */
+function refreshSession(refreshToken) {
+    const hash = hashRefreshToken(refreshToken);
+    const newRefreshToken = crypto.randomBytes(32).toString("hex");
+    const update = `UPDATE Sessions
+                    SET PreviousHash=RefreshHash, RefreshHash=$2, LastUsed=NOW() AT TIME ZONE 'UTC'
+                    FROM Members
+                    WHERE Members.MemberId=Sessions.MemberId AND RefreshHash=$1
+                    AND RevokedAt IS NULL AND ExpiresAt > NOW() AT TIME ZONE 'UTC'
+                    RETURNING SessionId, Sessions.MemberId, Members.Email`;
+    return pool.query(update, [hash, hashRefreshToken(newRefreshToken)])
+        .then(result => {
+            if (result.rowCount == 1) {
+                const session = result.rows[0];
+                return {
+                    ...signAccessToken(session),
+                    refreshToken: newRefreshToken,
+                    sessionId: session.sessionid,
+                };
+            }
+            // a refresh token that was already used
+            return revoke("PreviousHash=$1", [hash]).then(() => null);
+        });
+}
+
+/**
+ * Revokes the active sessions matching a condition, deletes the Pushy tokens
+ * their devices registered and closes their live connections.
+ * @param {string} condition the WHERE condition on Sessions
+ * @param {Array} values the values of the condition
+ * @returns {Promise} resolves to the ids of the revoked sessions
+ */
+function revoke(condition, values) {
+    const update = `WITH Revoked AS (
+                        UPDATE Sessions SET RevokedAt=NOW() AT TIME ZONE 'UTC'
+                        WHERE ${condition} AND RevokedAt IS NULL
+                        RETURNING SessionId
+                    ), Tokens AS (
+                        DELETE FROM Push_Token WHERE SessionId IN (SELECT SessionId FROM Revoked)
+                    )
+                    SELECT SessionId FROM Revoked`;
+    return pool.query(update, values)
+        .then(result => {
+            // required here as live_utilities checks tokens through this module
+            const live = require("./live_utilities.js");
+            const sessionids = result.rows.map(row => row.sessionid);
+            sessionids.forEach(live.closeSession);
+            return sessionids;
+        });
+}
+
+/**
+ * Ends one of a member's sessions.
+ * @param {number} sessionid the session
+ * @param {number} memberid the member the session must belong to
+ * @returns {Promise} resolves to true if an active session was revoked
+ */
+function revokeSession(sessionid, memberid) {
+    return revoke("SessionId=$1 AND MemberId=$2", [sessionid, memberid])
+        .then(sessionids => sessionids.length == 1);
+}
+
+/**
+ * Ends every session of a member, e.g. when their password changes. Pushy
+ * tokens registered before sessions existed are deleted too.
+ * @param {number} memberid the member
+ * @returns {Promise} resolves once the sessions are revoked
+ */
+function revokeAllSessions(memberid) {
+    return revoke("MemberId=$1", [memberid])
+        .then(() => pool.query("DELETE FROM Push_Token WHERE MemberId=$1", [memberid]));
+}
+
+/**
+ * Checks that a session is neither revoked nor expired.
+ * @param {number} sessionid the session
+ * @returns {Promise} resolves to true if the session is active
+ */
+function isSessionActive(sessionid) {
+    const query = `SELECT 1 FROM Sessions
+                   WHERE SessionId=$1 AND RevokedAt IS NULL
+                   AND ExpiresAt > NOW() AT TIME ZONE 'UTC'`;
+    return pool.query(query, [sessionid])
+        .then(result => result.rowCount == 1);
+}
+
+module.exports = {
+    createSession, refreshSession, revokeSession, revokeAllSessions, isSessionActive
+};
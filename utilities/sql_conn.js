@@ -1,6 +1,12 @@
 // Obtain a Pool of DB connections.
 const config = require("../config.js");
-const { Pool } = require("pg");
+const { Pool, types } = require("pg");
+
+// TIMESTAMP columns carry no zone and are written in UTC, but pg would parse
+// them in the server's local zone. Read them as UTC so every Date, and the
+// ISO-8601 string it serializes to, is correct.
+const TIMESTAMP_OID = 1114;
+types.setTypeParser(TIMESTAMP_OID, value => new Date(value.replace(" ", "T") + "Z"));
 
 //Rest of the codebase expects that pool is the direct export, not an object containing it
 module.exports = new Pool(config.DB_OPTIONS);
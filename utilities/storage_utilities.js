@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+
+const config = require('../config.js');
+
+/**
+ * Stores attachments as files under a directory on the local disk.
+ * @param {String} dir The directory to keep the files in.
+ */
+function localStorage(dir) {
+    const fileFor = key => path.join(dir, path.basename(key));
+    return {
+        save: (key, body) => fs.promises.mkdir(dir, { recursive: true })
+            .then(() => fs.promises.writeFile(fileFor(key), body)),
+        load: key => Promise.resolve(fs.createReadStream(fileFor(key))),
+        remove: key => fs.promises.rm(fileFor(key), { force: true }),
+    };
+}
+
+/**
+ * Stores attachments as objects in an S3 (or S3-compatible) bucket. Credentials
+ * are read by the AWS SDK from its usual environment variables.
+ * @param {String} bucket The bucket to keep the objects in.
+ */
+function s3Storage(bucket) {
+    // only needed when S3 is configured
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    const client = new S3Client({
+        region: config.S3_REGION,
+        endpoint: config.S3_ENDPOINT,
+        forcePathStyle: config.S3_ENDPOINT !== undefined,
+    });
+    return {
+        save: (key, body, type) => client.send(new PutObjectCommand({
+            Bucket: bucket, Key: key, Body: body, ContentType: type,
+        })),
+        load: key => client.send(new GetObjectCommand({ Bucket: bucket, Key: key }))
+            .then(result => result.Body),
+        remove: key => client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key })),
+    };
+}
+
+/**
+ * The storage backends, by the name used in ATTACHMENT_STORAGE. Each one
+ * offers save(key, body, type), load(key) resolving to a readable stream, and
+ * remove(key), all returning Promises.
+ */
+const backends = {
+    local: () => localStorage(config.ATTACHMENT_DIR),
+    s3: () => s3Storage(config.S3_BUCKET),
+};
+
+if (!backends[config.ATTACHMENT_STORAGE]) {
+    throw new Error('Unknown ATTACHMENT_STORAGE: ' + config.ATTACHMENT_STORAGE);
+}
+
+module.exports = backends[config.ATTACHMENT_STORAGE]();
@@ -0,0 +1,159 @@
+/**
+ * The visible text of each kind of notification. The app localizes the title
+ * from titleKey, filling {0}, {1}... with the title arguments, and the body
+ * from bodyKey with the body arguments. title and body are the English text
+ * shown when it cannot.
+ */
+const TEMPLATES = {
+    message: {
+        titleKey: 'MESSAGE_TITLE', title: '{0} in {1}',
+        bodyKey: 'MESSAGE_BODY', body: '{0}'
+    },
+    directMessage: {
+        titleKey: 'DIRECT_MESSAGE_TITLE', title: '{0}',
+        bodyKey: 'MESSAGE_BODY', body: '{0}'
+    },
+    attachment: {
+        titleKey: 'MESSAGE_TITLE', title: '{0} in {1}',
+        bodyKey: 'ATTACHMENT_BODY', body: 'Sent an attachment'
+    },
+    directAttachment: {
+        titleKey: 'DIRECT_MESSAGE_TITLE', title: '{0}',
+        bodyKey: 'ATTACHMENT_BODY', body: 'Sent an attachment'
+    },
+    mention: {
+        titleKey: 'MENTION_TITLE', title: '{0} mentioned you in {1}',
+        bodyKey: 'MESSAGE_BODY', body: '{0}'
+    },
+    directMention: {
+        titleKey: 'DIRECT_MENTION_TITLE', title: '{0} mentioned you',
+        bodyKey: 'MESSAGE_BODY', body: '{0}'
+    },
+    reply: {
+        titleKey: 'REPLY_TITLE', title: '{0} replied to you in {1}',
+        bodyKey: 'MESSAGE_BODY', body: '{0}'
+    },
+    directReply: {
+        titleKey: 'DIRECT_REPLY_TITLE', title: '{0} replied to you',
+        bodyKey: 'MESSAGE_BODY', body: '{0}'
+    },
+    contactRequest: {
+        titleKey: 'CONTACT_REQUEST_TITLE', title: 'New contact request',
+        bodyKey: 'CONTACT_REQUEST_BODY', body: '{0} wants to add you as a contact'
+    },
+    addedToChat: {
+        titleKey: 'ADDED_TO_CHAT_TITLE', title: '{0}',
+        bodyKey: 'ADDED_TO_CHAT_BODY', body: '{0} added you to the chat'
+    },
+};
+
+/**
+ * Fills the {0}, {1}... placeholders of the text.
+ * @param {String} text The text.
+ * @param {String[]} args The values for the placeholders.
+ * @returns {String} The filled in text.
+ */
+function format(text, args) {
+    return text.replace(/\{(\d+)\}/g, (placeholder, index) => args[index] || '');
+}
+
+/**
+ * Builds the notification Pushy shows for the template.
+ * @param {String} name The name of the template.
+ * @param {String[]} titleArgs The values for the placeholders of the title.
+ * @param {String[]} bodyArgs The values for the placeholders of the body.
+ * @returns {Object} The notification option.
+ */
+function render(name, titleArgs, bodyArgs) {
+    const template = TEMPLATES[name];
+    return {
+        title: format(template.title, titleArgs),
+        body: format(template.body, bodyArgs),
+        title_loc_key: template.titleKey,
+        title_loc_args: titleArgs,
+        loc_key: template.bodyKey,
+        loc_args: bodyArgs,
+    };
+}
+
+/**
+ * Builds the Pushy options for a new message. Each chat has its own collapse
+ * key, so a device that was offline is only sent the latest message of each.
+ * @param {Object} message The message row.
+ * @param {Object} context The senderName, chatName and direct flag of the
+ * message, and the badge: the recipient's unread messages across all chats.
+ * @returns {Object} The Pushy options.
+ */
+function messageOptions(message, context) {
+    const name = message.message
+        ? (context.direct ? 'directMessage' : 'message')
+        : (context.direct ? 'directAttachment' : 'attachment');
+    return {
+        notification: {
+            ...render(name, [context.senderName, context.chatName], [message.message]),
+            badge: context.badge
+        },
+        collapse_key: 'chat-' + message.chatid
+    };
+}
+
+/**
+ * Builds the Pushy options for a message mentioning the recipient. On iOS it
+ * breaks through Focus modes like a time-sensitive notification.
+ * @param {Object} message The message row.
+ * @param {Object} context As for messageOptions.
+ * @returns {Object} The Pushy options.
+ */
+function mentionOptions(message, context) {
+    return {
+        notification: {
+            ...render(context.direct ? 'directMention' : 'mention',
+                [context.senderName, context.chatName], [message.message]),
+            badge: context.badge,
+            interruption_level: 'time-sensitive'
+        }
+    };
+}
+
+/**
+ * Builds the Pushy options for a reply to one of the recipient's messages.
+ * @param {Object} message The message row.
+ * @param {Object} context As for messageOptions.
+ * @returns {Object} The Pushy options.
+ */
+function replyOptions(message, context) {
+    return {
+        notification: {
+            ...render(context.direct ? 'directReply' : 'reply',
+                [context.senderName, context.chatName], [message.message]),
+            badge: context.badge
+        }
+    };
+}
+
+/**
+ * Builds the Pushy options for a contact request.
+ * @param {String} senderName The username of the member asking.
+ * @returns {Object} The Pushy options.
+ */
+function contactRequestOptions(senderName) {
+    return {
+        notification: render('contactRequest', [], [senderName])
+    };
+}
+
+/**
+ * Builds the Pushy options for being added to a chat.
+ * @param {String} chatName The name of the chat.
+ * @param {String} senderName The username of the member who added the recipient.
+ * @returns {Object} The Pushy options.
+ */
+function addedToChatOptions(chatName, senderName) {
+    return {
+        notification: render('addedToChat', [chatName], [senderName])
+    };
+}
+
+module.exports = {
+    messageOptions, mentionOptions, replyOptions, contactRequestOptions, addedToChatOptions
+};
@@ -0,0 +1,74 @@
+const config = require('../config.js');
+
+/**
+ * Sends notifications through Pushy.
+ * @param {String} apiKey The Pushy Secret API Key.
+ */
+function pushyTransport(apiKey) {
+    // only needed when Pushy is configured
+    const Pushy = require('pushy');
+    const pushyAPI = new Pushy(apiKey);
+    return {
+        name: 'pushy',
+        // Send push notification via the Send Notifications API
+        // https://pushy.me/docs/api/send-notifications
+        send: (data, token, options) => pushyAPI.sendPushNotification(data, token, options)
+            .then(result => ({
+                id: result.id,
+                failed: (result.info && result.info.failed) || []
+            })),
+    };
+}
+
+/**
+ * Most notifications the memory transport keeps. Older ones are dropped, so a
+ * development server left running does not grow without limit.
+ */
+const MEMORY_LIMIT = 1000;
+
+/**
+ * Keeps the latest notifications in memory instead of sending them, so the
+ * server runs offline and tests can check exactly what each route sent. Tokens
+ * added to failTokens are reported back as unknown, the way Pushy reports them.
+ */
+function memoryTransport() {
+    const sent = [];
+    const failTokens = new Set();
+    let count = 0;
+    return {
+        name: 'memory',
+        sent,
+        failTokens,
+        send: (data, token, options) => {
+            sent.push({ data, token, options });
+            if (sent.length > MEMORY_LIMIT) {
+                sent.shift();
+            }
+            count++;
+            return Promise.resolve({
+                id: 'memory-' + count,
+                failed: failTokens.has(token) ? [token] : []
+            });
+        },
+        clear: () => {
+            sent.length = 0;
+            failTokens.clear();
+        },
+    };
+}
+
+/**
+ * The notification transports, by the name used in PUSH_PROVIDER. Each one
+ * offers send(data, token, options), returning a Promise of the send's id and
+ * the tokens that turned out not to exist.
+ */
+const transports = {
+    pushy: () => pushyTransport(config.PUSHY_API_KEY),
+    memory: () => memoryTransport(),
+};
+
+if (!transports[config.PUSH_PROVIDER]) {
+    throw new Error('Unknown PUSH_PROVIDER: ' + config.PUSH_PROVIDER);
+}
+
+module.exports = transports[config.PUSH_PROVIDER]();
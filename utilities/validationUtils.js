@@ -1,5 +1,10 @@
 // TODO: Add validation functions for isNumericProvided, isValidPassword, isValidEmail, etc.
 
+/**
+ * The largest value a Postgres INT column, and so any id, can hold.
+ */
+const MAX_INT = 2147483647;
+
 module.exports = { 
     /**
     * Checks the parameter to see if it is a String with a length greater than 0.
@@ -17,6 +22,15 @@ module.exports = {
     isNumberProvided: (param) => {
         return typeof param === 'number' && isFinite(param);
     },
+    /**
+     * Checks the parameter to see if it is a whole number from 1 to 2147483647, given
+     * as a number or a string of digits, such as an id or a page size.
+     * @param {number|string} param The parameter to check.
+     * @returns True if the parameter is a whole number that fits an INT column, false otherwise.
+     */
+    isPositiveIntProvided: (param) => {
+        return /^[1-9]\d*$/.test(param) && Number(param) <= MAX_INT;
+    },
     /**
      * Returns whether the given parameter is in the format of latitude,longitude.
      * @param {String} param The parameter to check.